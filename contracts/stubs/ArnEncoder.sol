@@ -0,0 +1,37 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.16;
+
+///////////////////////////////////////////////////////////
+// IMPORTS
+//
+import "../../libraries/AssetResourceName.sol";
+using AssetResourceName for AssetResourceName.AssetType;
+///////////////////////////////////////////////////////////
+
+///////////////////////////////////////////////////////////
+// ArnEncoder
+//
+// A contract helper to test off-chain ARN encoding
+//
+///////////////////////////////////////////////////////////
+contract ArnEncoder {
+    constructor() {}
+
+    /**
+     * arn
+     *
+     * Exposes the library's internal arn() for the given asset.
+     *
+     * @param contractAddress the contract the token originates from
+     * @param tokenStandard   the token standard of the asset
+     * @param id              the non-fungible ID, if any
+     * @return the asset resource name the contracts would use
+     */
+    function arn(address contractAddress, uint256 tokenStandard, uint256 id) external pure returns (bytes32) {
+        return AssetResourceName.AssetType({
+            contractAddress: contractAddress,
+            tokenStandard: tokenStandard,
+            id: id
+        }).arn();
+    }
+}
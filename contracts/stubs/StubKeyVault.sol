@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.16;
+
+///////////////////////////////////////////////////////////
+// IMPORTS
+
+// We will need some of the required ABIs
+import '../KeyVault.sol';
+///////////////////////////////////////////////////////////
+
+/**
+ * Stub Key Vault
+ *
+ * This is a stub used to stand in for a previous build of the
+ * key vault. It has the same storage, but different code, so
+ * it can be upgraded from and rolled back to.
+ */
+contract StubKeyVault is KeyVault {
+    function previousBuild() external pure returns (bool) {
+        return true;
+    }
+}
@@ -30,7 +30,8 @@ module.exports = {
       goerli: `${process.env.ETHERSCAN_API_KEY}`,
       polygonMumbai: `${process.env.POLYGONSCAN_API_KEY}`,
       base: `${process.env.BASE_API_KEY}`,
-      scrollsepolia: `${process.env.SCROLL_API_KEY}`
+      scrollsepolia: `${process.env.SCROLL_API_KEY}`,
+      localhost: 'stand-in'
     },
     customChains: [
      {
@@ -49,6 +50,15 @@ module.exports = {
          browserURL: 'https://sepolia-blockscout.scroll.io/',
        },
     },
+    {
+      // the stand-in from scripts/explorer.js, in front of a local node
+      network: 'localhost',
+      chainId: 31337,
+      urls: {
+        apiURL: 'http://127.0.0.1:8546/api',
+        browserURL: 'http://127.0.0.1:8546',
+      },
+    },
    ]
   },
   networks: {
@@ -0,0 +1,170 @@
+const { ethers } = require('ethers');
+
+/////////////////////////////////////////////
+// ASSET RESOURCE NAMES
+//
+// The contracts know every asset by an ARN, the keccak256
+// of its contract address, token standard, and ID, as
+// built by AssetResourceName.sol. The hash can't be undone,
+// so turning an ARN back into a token means looking it up
+// in a table of the assets we already know about.
+//
+// The native gas token is standard 0 at the zero address.
+// Fungible tokens (20, 777) always have an ID of zero,
+// while each ID of a non-fungible token (721, 1155) is
+// its own asset.
+//
+//   const LocksmithArn = require('../lib/arn.js');
+//   const assets = LocksmithArn.createLookup(LocksmithRegistry.getAssetEntries(chainId));
+//   assets.format(LocksmithArn.ETH, balance); // '1.5 ETH'
+/////////////////////////////////////////////
+module.exports = (function() {
+  const STANDARDS = {
+    gas:     0,
+    erc20:   20,
+    erc721:  721,
+    erc777:  777,
+    erc1155: 1155
+  };
+  const FUNGIBLE_STANDARDS = [0, 20, 777];
+
+  // the collateral providers, and the standards they hold
+  const VAULTS = {
+    EtherVault: [STANDARDS.gas],
+    TokenVault: [STANDARDS.erc20]
+  };
+
+  const TOKEN_VAULT_ABI = ['function arnContracts(bytes32) view returns (address)'];
+  const METADATA_ABI = [
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)'
+  ];
+
+  /////////////////////////////////////////////
+  // encode
+  //
+  // Produces the ARN for the given token contract,
+  // standard, and ID.
+  /////////////////////////////////////////////
+  var encode = function(contractAddress, tokenStandard, id = 0) {
+    if (!Object.values(STANDARDS).includes(tokenStandard)) {
+      throw new Error('Unsupported token standard: ' + tokenStandard);
+    }
+    if (FUNGIBLE_STANDARDS.includes(tokenStandard) && !ethers.BigNumber.from(id).isZero()) {
+      throw new Error('Fungible tokens don\'t have IDs: ' + id);
+    }
+    if ((tokenStandard === STANDARDS.gas) !== (contractAddress === ethers.constants.AddressZero)) {
+      throw new Error('Only the gas token lives at the zero address');
+    }
+    return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+      ['address', 'uint256', 'uint256'], [contractAddress, tokenStandard, id]));
+  };
+
+  const ETH = encode(ethers.constants.AddressZero, STANDARDS.gas, 0);
+
+  var shorten = function(arn) {
+    return arn.slice(0, 10) + '...' + arn.slice(-4);
+  };
+
+  return {
+    STANDARDS: STANDARDS,
+    ETH: ETH,
+    encode: encode,
+    shorten: shorten,
+    /////////////////////////////////////////////
+    // createLookup
+    //
+    // Produces a reverse lookup table seeded with the gas
+    // token and the given asset entries, by alias, as the
+    // assets registry keeps them. Given a provider and the
+    // token vault's address, ARNs that aren't in the table
+    // can be discovered through the token vault, which
+    // remembers the contract behind every ARN deposited.
+    /////////////////////////////////////////////
+    createLookup: function(entries = {}, options = {}) {
+      const { provider, tokenVault } = options;
+      var table = {};
+      table[ETH] = { arn: ETH, contractAddress: ethers.constants.AddressZero,
+        tokenStandard: STANDARDS.gas, id: '0', name: 'ETH', decimals: 18 };
+
+      for (const [alias, entry] of Object.entries(entries)) {
+        const standard = entry.standard || STANDARDS.erc20;
+        const arn = (entry.arn || encode(entry.address, standard, entry.id || 0)).toLowerCase();
+        table[arn] = { arn: arn, contractAddress: entry.address, tokenStandard: standard,
+          id: entry.id || '0', name: alias, decimals: entry.decimals };
+      }
+
+      var lookup = {
+        /////////////////////////////////////////////
+        // resolve
+        //
+        // Produces what is known about the ARN, or null.
+        /////////////////////////////////////////////
+        resolve: function(arn) {
+          return table[arn.toLowerCase()] || null;
+        },
+        /////////////////////////////////////////////
+        // discover
+        //
+        // Same as resolve, except it will ask the chain
+        // about ARNs and decimals the table doesn't have.
+        /////////////////////////////////////////////
+        discover: async function(arn) {
+          arn = arn.toLowerCase();
+          if (!table[arn] && provider && tokenVault) {
+            const address = await new ethers.Contract(tokenVault, TOKEN_VAULT_ABI, provider).arnContracts(arn);
+            if (address !== ethers.constants.AddressZero && encode(address, STANDARDS.erc20) === arn) {
+              table[arn] = { arn: arn, contractAddress: address, tokenStandard: STANDARDS.erc20, id: '0' };
+            }
+          }
+
+          var asset = table[arn];
+          if (asset && provider && (asset.name === undefined || asset.decimals === undefined)) {
+            const token = new ethers.Contract(asset.contractAddress, METADATA_ABI, provider);
+            asset.name = asset.name || await token.symbol().catch(() => shorten(arn));
+            asset.decimals = asset.decimals !== undefined ? asset.decimals :
+              FUNGIBLE_STANDARDS.includes(asset.tokenStandard) ? await token.decimals().catch(() => 18) : 0;
+          }
+          return asset || null;
+        },
+        /////////////////////////////////////////////
+        // format
+        //
+        // Pretty prints the ARN, and the amount of it if
+        // given, like '1.5 ETH'. Unknown ARNs are shortened,
+        // and their amounts left raw.
+        /////////////////////////////////////////////
+        format: function(arn, amount) {
+          const asset = lookup.resolve(arn);
+          const name = asset && asset.name ? asset.name : shorten(arn);
+          if (amount === undefined) {
+            return name;
+          }
+          const decimals = asset && asset.decimals !== undefined ? asset.decimals : 0;
+          return ethers.utils.formatUnits(amount, decimals) + ' ' + name;
+        },
+        /////////////////////////////////////////////
+        // getSupportingVaults
+        //
+        // Produces the collateral providers that can hold
+        // the ARN. Unknown ARNs aren't held by any.
+        /////////////////////////////////////////////
+        getSupportingVaults: function(arn) {
+          const asset = lookup.resolve(arn);
+          return !asset ? [] : Object.keys(VAULTS).filter((vault) =>
+            VAULTS[vault].includes(asset.tokenStandard));
+        },
+        /////////////////////////////////////////////
+        // isSupported
+        //
+        // Determines if the vault, EtherVault or TokenVault,
+        // can hold the ARN.
+        /////////////////////////////////////////////
+        isSupported: function(arn, vault) {
+          return lookup.getSupportingVaults(arn).includes(vault);
+        }
+      };
+      return lookup;
+    }
+  };
+})();
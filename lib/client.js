@@ -0,0 +1,272 @@
+const { ethers } = require('ethers');
+
+/////////////////////////////////////////////
+// CLIENT
+//
+// A read-only view of a Locksmith deployment, with the
+// contracts' tuples turned into named results. Addresses
+// are given by alias, or come from the registry for the
+// chain the provider is connected to, and bytes32 aliases
+// are decoded into strings. IDs are numbers, and balances
+// stay BigNumbers.
+//
+//   const LocksmithClient = require('../lib/client.js');
+//   const client = await LocksmithClient.connect(provider);
+//   const trust = client.trust(0);
+//   for (const key of await trust.keys()) {
+//     const { alias, isRoot } = await key.inspect();
+//   }
+/////////////////////////////////////////////
+module.exports = (function() {
+  const ABIS = {
+    Locksmith: [
+      'function getKeyVault() view returns (address)',
+      'function trustCount() view returns (uint256)',
+      'function keyCount() view returns (uint256)',
+      'function getTrustInfo(uint256) view returns (uint256, bytes32, uint256, uint256)',
+      'function getKeys(uint256) view returns (uint256[])',
+      'function inspectKey(uint256) view returns (bool, bytes32, uint256, bool, uint256[])'
+    ],
+    KeyVault: [
+      'function getKeys(address) view returns (uint256[])',
+      'function getHolders(uint256) view returns (address[])',
+      'function keyBalanceOf(address, uint256, bool) view returns (uint256)'
+    ],
+    Notary: [
+      'function getTrustedActors(address, uint256, uint8) view returns (address[])',
+      'function actorAliases(address, uint256, uint8, address) view returns (bytes32)'
+    ],
+    Ledger: [
+      'function getContextBalanceSheet(uint256, uint256, address) view returns (bytes32[], uint256[])',
+      'function getContextArnAllocations(uint256, uint256, bytes32) view returns (address[], uint256[])'
+    ]
+  };
+
+  const LEDGER_CONTEXT_ID = 0;
+  const TRUST_CONTEXT_ID = 1;
+  const KEY_CONTEXT_ID = 2;
+
+  // the notary's roles, by the names the contracts use for them
+  const ROLES = {
+    'collateral-provider': 0,
+    'scribe':              1,
+    'dispatcher':          2
+  };
+
+  /////////////////////////////////////////////
+  // decodeAlias
+  //
+  // Turns a bytes32 alias into a string. Aliases aren't
+  // required to be null terminated, so this doesn't use
+  // parseBytes32String.
+  /////////////////////////////////////////////
+  var decodeAlias = function(alias) {
+    const bytes = ethers.utils.arrayify(alias);
+    const end = bytes.indexOf(0);
+    return ethers.utils.toUtf8String(end === -1 ? bytes : bytes.slice(0, end),
+      ethers.utils.Utf8ErrorFuncs.replace);
+  };
+
+  var getRole = function(role) {
+    const id = typeof role === 'number' ? role : ROLES[role];
+    if (!Object.values(ROLES).includes(id)) {
+      throw new Error('Unknown notary role: ' + role);
+    }
+    return id;
+  };
+
+  /////////////////////////////////////////////
+  // getRegisteredAddresses, getRegisteredAssets
+  //
+  // Produces the addresses and asset lookup the registry
+  // has for the chain. The registry is only loaded when a
+  // client isn't given them.
+  /////////////////////////////////////////////
+  var getRegisteredAddresses = function(chainId) {
+    require('../tasks/registry.js');
+    return Object.fromEntries([...Object.keys(ABIS), 'TrustEventLog'].map((alias) =>
+      [alias, LocksmithRegistry.getContractAddress(chainId, alias)]));
+  };
+
+  var getRegisteredAssets = function(chainId) {
+    require('../tasks/registry.js');
+    return LocksmithRegistry.getAssetLookup(chainId);
+  };
+
+  var createClient = function(chainId, runner, addresses, assets) {
+    var contracts = {};
+    for (const [alias, abi] of Object.entries(ABIS)) {
+      if (addresses[alias]) {
+        contracts[alias] = new ethers.Contract(addresses[alias], abi, runner);
+      }
+    }
+
+    // contracts the deployment doesn't have only matter once they're used
+    var use = function(alias) {
+      if (!contracts[alias]) {
+        throw new Error(alias + ' is not known for chain ' + chainId);
+      }
+      return contracts[alias];
+    };
+
+    var toBalanceSheet = function([arns, balances]) {
+      return arns.map((arn, i) => ({
+        arn:     arn,
+        asset:   (assets.resolve(arn) || {}).name || null,
+        balance: balances[i]
+      }));
+    };
+
+    var client = {
+      chainId:   chainId,
+      contracts: contracts,
+      /////////////////////////////////////////////
+      // trust
+      //
+      // Produces the trust with the given ID. Nothing is
+      // read until one of its methods is called.
+      /////////////////////////////////////////////
+      trust: function(trustId) {
+        const id = ethers.BigNumber.from(trustId).toNumber();
+        return {
+          id: id,
+          info: async function() {
+            const [trustId, name, rootKeyId, keyCount] = await use('Locksmith').getTrustInfo(id);
+            return {
+              id:        trustId.toNumber(),
+              name:      decodeAlias(name),
+              rootKeyId: rootKeyId.toNumber(),
+              keyCount:  keyCount.toNumber()
+            };
+          },
+          rootKey: async function() {
+            return client.key((await this.info()).rootKeyId);
+          },
+          keys: async function() {
+            return (await use('Locksmith').getKeys(id)).map((keyId) => client.key(keyId));
+          },
+          balanceSheet: async function(provider = ethers.constants.AddressZero) {
+            return toBalanceSheet(await use('Ledger').getContextBalanceSheet(TRUST_CONTEXT_ID, id, provider));
+          },
+          trustedActors: async function(role) {
+            return await client.notary.trustedActors(id, role);
+          }
+        };
+      },
+      /////////////////////////////////////////////
+      // key
+      //
+      // Produces the key with the given ID. Nothing is
+      // read until one of its methods is called.
+      /////////////////////////////////////////////
+      key: function(keyId) {
+        const id = ethers.BigNumber.from(keyId).toNumber();
+        return {
+          id: id,
+          inspect: async function() {
+            const [valid, alias, trustId, isRoot, keys] = await use('Locksmith').inspectKey(id);
+            return {
+              valid:   valid,
+              alias:   decodeAlias(alias),
+              trustId: trustId.toNumber(),
+              isRoot:  isRoot,
+              keys:    keys.map((k) => k.toNumber())
+            };
+          },
+          trust: async function() {
+            return client.trust((await this.inspect()).trustId);
+          },
+          holders: async function() {
+            return await use('KeyVault').getHolders(id);
+          },
+          isHeldBy: async function(address) {
+            return (await use('KeyVault').keyBalanceOf(address, id, false)).gt(0);
+          },
+          balanceSheet: async function(provider = ethers.constants.AddressZero) {
+            return await client.ledger.balanceSheet(id, provider);
+          }
+        };
+      },
+      /////////////////////////////////////////////
+      // keysHeldBy
+      //
+      // Produces every key the address holds.
+      /////////////////////////////////////////////
+      keysHeldBy: async function(address) {
+        return (await use('KeyVault').getKeys(address)).map((keyId) => client.key(keyId));
+      },
+      ledger: {
+        /////////////////////////////////////////////
+        // balanceSheet
+        //
+        // Produces the assets the key is entitled to, at the
+        // given collateral provider or across all of them.
+        /////////////////////////////////////////////
+        balanceSheet: async function(keyId, provider = ethers.constants.AddressZero) {
+          return toBalanceSheet(await use('Ledger').getContextBalanceSheet(KEY_CONTEXT_ID, keyId, provider));
+        },
+        /////////////////////////////////////////////
+        // totalBalanceSheet
+        //
+        // Produces everything held across the ledger, at the
+        // given collateral provider or across all of them.
+        /////////////////////////////////////////////
+        totalBalanceSheet: async function(provider = ethers.constants.AddressZero) {
+          return toBalanceSheet(await use('Ledger').getContextBalanceSheet(LEDGER_CONTEXT_ID, 0, provider));
+        },
+        /////////////////////////////////////////////
+        // allocations
+        //
+        // Produces which collateral providers hold the key's
+        // balance of the given asset.
+        /////////////////////////////////////////////
+        allocations: async function(keyId, arn) {
+          const [providers, balances] = await use('Ledger').getContextArnAllocations(KEY_CONTEXT_ID, keyId, arn);
+          return providers.map((provider, i) => ({ provider: provider, balance: balances[i] }));
+        }
+      },
+      notary: {
+        /////////////////////////////////////////////
+        // trustedActors
+        //
+        // Produces the actors the trust has entrusted with
+        // the given role, along with the alias they were
+        // given. Dispatchers are trusted by the event log,
+        // and everyone else by the ledger.
+        /////////////////////////////////////////////
+        trustedActors: async function(trustId, role) {
+          const roleId = getRole(role);
+          const target = roleId === ROLES['dispatcher'] ? addresses.TrustEventLog : use('Ledger').address;
+          if (!target) {
+            throw new Error('TrustEventLog is not known for chain ' + chainId);
+          }
+          const actors = await use('Notary').getTrustedActors(target, trustId, roleId);
+          return await Promise.all(actors.map(async (actor) => ({
+            address: actor,
+            alias:   decodeAlias(await use('Notary').actorAliases(target, trustId, roleId, actor))
+          })));
+        }
+      }
+    };
+    return client;
+  };
+
+  return {
+    ROLES: ROLES,
+    decodeAlias: decodeAlias,
+    /////////////////////////////////////////////
+    // connect
+    //
+    // Produces a client for the deployment on the chain
+    // the provider or signer is connected to. The contract
+    // addresses, by alias, and the asset lookup used to
+    // name ARNs come from the registry unless given.
+    /////////////////////////////////////////////
+    connect: async function(runner, options = {}) {
+      const { chainId } = await (runner.provider || runner).getNetwork();
+      return createClient(chainId, runner,
+        options.addresses || getRegisteredAddresses(chainId),
+        options.assets || getRegisteredAssets(chainId));
+    }
+  };
+})();
@@ -0,0 +1,153 @@
+// A local stand-in for an etherscan-style block explorer API, so
+// `genie-verify` can be exercised against a local hardhat node:
+//
+//   node scripts/explorer.js [port] [rpc]
+//   npx hardhat genie-verify --network localhost
+//
+// The tests start it in-process instead, on the hardhat network's
+// provider, through createExplorer.
+//
+// It doesn't compile anything. It checks that submissions are well
+// formed, that the named contract is in the submitted sources, and
+// that there is code at the address, and then remembers it. It also
+// answers the log queries and proxy links the upgrades plugin makes.
+const http = require('http');
+
+const respond = function(res, status, result, message) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ status: status ? '1' : '0', message: message || (status ? 'OK' : 'NOTOK'), result: result }));
+}
+
+const toBlock = (block) => block.match(/^\d+$/) ? '0x' + parseInt(block).toString(16) : block;
+
+///////////////////////////////////////////
+// createExplorer
+//
+// Produces the stand-in's server, and what it has
+// verified so far. The send function makes JSON-RPC
+// calls to the chain being explored.
+///////////////////////////////////////////
+const createExplorer = function(send) {
+  var verified = {};     // address => { contractName, compilerVersion, constructorArguments }
+  var submissions = {};  // guid => result
+  var proxies = {};      // guid => { address, implementation }
+
+  const verifySourceCode = async function(params) {
+    const address = (params.get('contractaddress') || '').toLowerCase();
+    const [sourceName, contractName] = (params.get('contractname') || '').split(':');
+
+    if (verified[address]) {
+      return [false, 'Contract source code already verified'];
+    }
+    if (params.get('codeformat') !== 'solidity-standard-json-input' ||
+        !(params.get('compilerversion') || '').match(/^v\d+\.\d+\.\d+\+commit\.[0-9a-f]+$/) ||
+        !(params.get('constructorArguements') || '').match(/^([0-9a-fA-F]{2})*$/)) {
+      return [false, 'Invalid submission'];
+    }
+    if ((await send('eth_getCode', [address, 'latest'])) === '0x') {
+      return [false, 'Unable to locate ContractCode at ' + address];
+    }
+
+    var sources = {};
+    try {
+      sources = JSON.parse(params.get('sourceCode')).sources || {};
+    } catch (err) {
+      return [false, 'Invalid sourceCode'];
+    }
+
+    const guid = Object.keys(submissions).length.toString().padStart(8, '0');
+    const found = sources[sourceName] && sources[sourceName].content.includes('contract ' + contractName);
+    submissions[guid] = found ? 'Pass - Verified' : 'Fail - Unable to verify';
+    if (found) {
+      verified[address] = {
+        contractName:         contractName,
+        compilerVersion:      params.get('compilerversion'),
+        constructorArguments: params.get('constructorArguements')
+      };
+    }
+    return [true, guid];
+  }
+
+  const getLogs = async function(params) {
+    const logs = await send('eth_getLogs', [{
+      address:   params.get('address'),
+      topics:    [params.get('topic0')],
+      fromBlock: toBlock(params.get('fromBlock') || '0'),
+      toBlock:   toBlock(params.get('toBlock') || 'latest')
+    }]);
+    return logs.length === 0 ? [false, [], 'No records found'] : [true, logs];
+  }
+
+  const verifyProxyContract = async function(params) {
+    const address = (params.get('address') || '').toLowerCase();
+    if ((await send('eth_getCode', [address, 'latest'])) === '0x') {
+      return [false, 'Unable to locate ContractCode at ' + address];
+    }
+
+    const guid = 'proxy' + Object.keys(proxies).length.toString().padStart(8, '0');
+    proxies[guid] = { address: address, implementation: (params.get('expectedimplementation') || '').toLowerCase() };
+    return [true, guid];
+  }
+
+  const server = http.createServer(function(req, res) {
+    var body = '';
+    req.on('data', (chunk) => body += chunk);
+    req.on('end', async function() {
+      const params = new URLSearchParams(req.method === 'POST' ? body : req.url.split('?')[1] || '');
+
+      try {
+        switch (params.get('action')) {
+          case 'verifysourcecode':
+            return respond(res, ...(await verifySourceCode(params)));
+          case 'checkverifystatus':
+            const result = submissions[params.get('guid')];
+            return respond(res, result === 'Pass - Verified', result || 'Unknown guid');
+          case 'getsourcecode':
+            const contract = verified[(params.get('address') || '').toLowerCase()];
+            return respond(res, true, [contract ?
+              { SourceCode: 'verified', ContractName: contract.contractName,
+                CompilerVersion: contract.compilerVersion, ConstructorArguments: contract.constructorArguments } :
+              { SourceCode: '', ContractName: '' }]);
+          case 'getLogs':
+            return respond(res, ...(await getLogs(params)));
+          case 'verifyproxycontract':
+            return respond(res, ...(await verifyProxyContract(params)));
+          case 'checkproxyverification':
+            const proxy = proxies[params.get('guid')];
+            return respond(res, proxy !== undefined, proxy ? 'The proxy\'s (' + proxy.address +
+              ') implementation contract is found at ' + proxy.implementation : 'Unknown guid');
+          default:
+            return respond(res, false, 'Unknown action');
+        }
+      } catch (err) {
+        return respond(res, false, err.message);
+      }
+    });
+  });
+
+  return { server, verified, submissions };
+}
+
+module.exports = { createExplorer };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || '8546');
+  const rpc = process.argv[3] || 'http://127.0.0.1:8545';
+
+  const send = async function(method, params) {
+    const response = await fetch(rpc, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: method, params: params })
+    });
+    const reply = await response.json();
+    if (reply.error) {
+      throw new Error(reply.error.message);
+    }
+    return reply.result;
+  }
+
+  createExplorer(send).server.listen(port, '127.0.0.1', () => {
+    console.log('Explorer stand-in listening on http://127.0.0.1:' + port + '/api, using ' + rpc);
+  });
+}
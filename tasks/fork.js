@@ -0,0 +1,103 @@
+const fs = require('fs');
+const http = require('http');
+
+LocksmithFork = (function() {
+  /////////////////////////////////////////////
+  // FORK CACHE
+  //
+  // Hardhat forks a chain by asking an RPC for state as
+  // it needs it. Genie puts a small JSON-RPC server between
+  // the two that remembers every answer, keyed by chain ID
+  // and fork block, so that once a rehearsal has been run
+  // it can be run again without the network.
+  //
+  // Every request hardhat makes while forking is pinned at
+  // or before the fork block, so the answers never change.
+  /////////////////////////////////////////////
+  var getCacheFileName = function(chainId, block) {
+    return __dirname + '/../cache/genie-fork/' + chainId + '-' + block + '.json';
+  };
+
+  var getCacheKey = function(request) {
+    return request.method + ':' + JSON.stringify(request.params || []);
+  };
+
+  var forward = async function(url, request) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: request.method, params: request.params || [] })
+    });
+    return await response.json();
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // serve
+    //
+    // Starts the caching server for the given chain and
+    // block. The upstream RPC is only resolved when there's
+    // a cache miss, and never when offline. Closing the
+    // server saves anything new to the cache.
+    /////////////////////////////////////////////
+    serve: async function(chainId, block, resolveUpstream, offline) {
+      const fileName = getCacheFileName(chainId, block);
+      var cache = fs.existsSync(fileName) ? JSON.parse(fs.readFileSync(fileName)) : {};
+      var stats = { hits: 0, misses: 0 };
+      var upstream = null;
+
+      var answer = async function(request) {
+        const key = getCacheKey(request);
+        if (cache.hasOwnProperty(key)) {
+          stats.hits += 1;
+          return { jsonrpc: '2.0', id: request.id, result: cache[key] };
+        }
+
+        try {
+          if (offline) {
+            throw new Error('Not in the fork cache, and running offline: ' + request.method);
+          }
+          upstream = upstream || await resolveUpstream();
+          const response = await forward(upstream, request);
+          if (response.error) {
+            return { jsonrpc: '2.0', id: request.id, error: response.error };
+          }
+          stats.misses += 1;
+          cache[key] = response.result;
+          return { jsonrpc: '2.0', id: request.id, result: response.result };
+        } catch (err) {
+          return { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: err.message } };
+        }
+      };
+
+      const server = http.createServer(function(req, res) {
+        var body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', async function() {
+          const payload = JSON.parse(body);
+          var responses = [];
+          for (const request of [payload].flat()) {
+            responses.push(await answer(request));
+          }
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(Array.isArray(payload) ? responses : responses[0]));
+        });
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+      return {
+        url:   'http://127.0.0.1:' + server.address().port,
+        stats: stats,
+        close: async function() {
+          server.closeAllConnections();
+          await new Promise((resolve) => server.close(resolve));
+          if (stats.misses !== 0) {
+            fs.mkdirSync(__dirname + '/../cache/genie-fork', { recursive: true });
+            fs.writeFileSync(fileName + '.' + process.pid + '.tmp', JSON.stringify(cache));
+            fs.renameSync(fileName + '.' + process.pid + '.tmp', fileName);
+          }
+        }
+      };
+    }
+  };
+})();
@@ -15,7 +15,19 @@
 // we need to consider a different deploy mechanism.
 ///////////////////////////////////////////
 require('./registry.js');
+require('./signer.js');
+require('./throttle.js');
+require('./indexer.js');
+require('./statement.js');
+require('./fork.js');
+require('./smoke.js');
+require('./seed.js');
 const { BigNumber } = require('ethers');
+const LocksmithArn = require('../lib/arn.js');
+const LocksmithClient = require('../lib/client.js');
+const { Manifest, getStorageLayout, getStorageUpgradeReport, getVersion, solcInputOutputDecoder,
+  validate, withValidationDefaults } = require('@openzeppelin/upgrades-core');
+const ERC1967Proxy = require('@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol/ERC1967Proxy.json');
 
 const redText = '\x1b[31m%s\x1b[0m';
 const greenText  = '\x1b[32m%s\x1b[0m';
@@ -27,11 +39,6 @@ const green  = (s) => '\x1b[32m' + s + '\x1b[0m';
 const yellow = (s) => '\x1b[33m' + s + '\x1b[0m';
 const blue   = (s) => '\x1b[34m' + s + '\x1b[0m';
 
-const syncWait = ms => {
-    const end = Date.now() + ms
-    while (Date.now() < end) continue
-}
-
 ///////////////////////////////////////////
 // getContractInitializationDependencies
 //
@@ -45,29 +52,128 @@ const syncWait = ms => {
 // parameters are defined in the contracts.
 ///////////////////////////////////////////
 const getContractInitializationDependencies = async function(alias) {
-  // implementation contracts won't have initialization dependencies
-  // because the constructor here is assumed to be empty, so if that
-  // is the case, just return
-  if (LocksmithRegistry.getImplementationList().includes(alias)) {
-    return []; // no initialization dependencies for implementation contracts
-  }
-
   const contract = await ethers.getContractFactory(alias);
   const chainId = await contract.signer.getChainId();
-  var dependencies = [];
-  for (pt of contract.interface.fragments.filter(f => f.type === 'function' && f.name === 'initialize')[0].inputs) {
-    var contractDependency = pt.name.replace(/_/g,'');
+  return await Promise.all((await getInitializationAliases(alias)).map(async (contractDependency) => {
     var contractAddress  = LocksmithRegistry.findContractAddress(chainId, contractDependency);
     var contractCodeHash = LocksmithRegistry.findContractCodeHash(chainId, contractDependency);
 
-    dependencies.push({ 
+    return { 
       alias: contractDependency,
       address: contractAddress,
       codeHash: contractCodeHash,
       integrity: await LocksmithRegistry.getDeployedDependencyAddress(chainId, alias, contractDependency)
-    });
+    };
+  }));
+}
+
+///////////////////////////////////////////
+// getInitializationAliases
+//
+// Given a contract, will produce the aliases of the
+// Locksmith contracts named by its #initialize parameters,
+// without looking at the registry or the network.
+///////////////////////////////////////////
+const getInitializationAliases = async function(alias) {
+  // implementation contracts won't have initialization dependencies
+  // because the constructor here is assumed to be empty, so if that
+  // is the case, just return
+  if (LocksmithRegistry.getImplementationList().includes(alias)) {
+    return []; // no initialization dependencies for implementation contracts
+  }
+
+  const contract = await ethers.getContractFactory(alias);
+  const initializer = contract.interface.fragments.filter(f => f.type === 'function' && f.name === 'initialize')[0];
+  return (initializer ? initializer.inputs : []).map((pt) => pt.name.replace(/_/g,''));
+}
+
+///////////////////////////////////////////
+// getDeploymentOrder
+//
+// Walks the initialization dependencies of the given aliases
+// and produces a topological order where every contract comes
+// after the contracts it is initialized with.
+//
+// This will blow up if a contract is initialized with an alias
+// that genie doesn't know about, or if the dependencies are cyclic,
+// because in either case there is no order that would work.
+//
+// The dependencies of each alias come from its #initialize
+// parameters, unless another lookup is given.
+///////////////////////////////////////////
+const getDeploymentOrder = async function(aliases, getDependencies = getInitializationAliases) {
+  const order = [];
+  const visiting = [];
+
+  const visit = async function(alias, parent) {
+    if (order.includes(alias)) {
+      return;
+    }
+    if (!aliases.includes(alias)) {
+      throw new Error('Unknown alias "' + alias + '" is an initialization dependency of ' + parent);
+    }
+    if (visiting.includes(alias)) {
+      throw new Error('Dependency cycle detected: ' +
+        visiting.slice(visiting.indexOf(alias)).concat(alias).join(' -> '));
+    }
+
+    visiting.push(alias);
+    for (const dependency of await getDependencies(alias)) {
+      await visit(dependency, alias);
+    }
+    visiting.pop();
+    order.push(alias);
+  };
+
+  for (const alias of aliases) {
+    await visit(alias, null);
+  }
+  return order;
+}
+
+///////////////////////////////////////////
+// getDeploymentPlan
+//
+// Takes the deployment order and compares every alias
+// against the registry and the local build, determining
+// what needs to happen to it:
+//
+// - deploy:   there is no address in the registry
+// - upgrade:  the code hash is stale, and upgrades are allowed
+// - redeploy: the code hash is stale on a stateless implementation
+// - stale:    the code hash is stale, but upgrades are not allowed
+// - current:  the registry matches the local build
+///////////////////////////////////////////
+const getDeploymentPlan = async function(chainId, order, allowUpgrade) {
+  var plan = [];
+  for (const alias of order) {
+    const contract = await ethers.getContractFactory(alias);
+    const currentAddress = LocksmithRegistry.findContractAddress(chainId, alias);
+    const action = getDeploymentAction({
+      address:  currentAddress,
+      codeHash: LocksmithRegistry.findContractCodeHash(chainId, alias)
+    }, ethers.utils.keccak256(contract.bytecode),
+      LocksmithRegistry.getImplementationList().includes(alias), allowUpgrade);
+
+    plan.push({ alias, action, address: currentAddress });
+  }
+  return plan;
+}
+
+///////////////////////////////////////////
+// getDeploymentAction
+//
+// Decides the plan action for a single registry entry,
+// given the code hash of the local build.
+///////////////////////////////////////////
+const getDeploymentAction = function(entry, localCodeHash, isImplementation, allowUpgrade) {
+  if (!entry.address) {
+    return 'deploy';
   }
-  return dependencies;
+  if (entry.codeHash !== localCodeHash) {
+    return isImplementation ? 'redeploy' : (allowUpgrade ? 'upgrade' : 'stale');
+  }
+  return 'current';
 }
 
 ///////////////////////////////////////////
@@ -86,39 +192,566 @@ const sortDependencies = async function(alias) {
 ///////////////////////////////////////////
 // patchOwner
 //
-// This is needed because hardhat doesn't always use EIP 1559
-// when using the default JsonRPCSigner, and doesn't necessarily
-// support the right over-rides in hardhat.config.js.
+// Produces the signer for the current network, as declared
+// in the signer config. This also pins the transaction type,
+// because hardhat doesn't always use EIP 1559 when using the
+// default JsonRPCSigner, and doesn't necessarily support the
+// right over-rides in hardhat.config.js.
 //
 // https://github.com/NomicFoundation/hardhat/issues/3418
+//
+// Every task starts here, so this is also where the
+// network's request throttle is put in place.
 ///////////////////////////////////////////
 const patchOwner = async function() {
-  const signers = await hre.ethers.getSigners();
+  await LocksmithThrottle.install();
+  return await LocksmithSigner.getSigner();
+}
+
+///////////////////////////////////////////
+// Deterministic Deployments
+//
+// These go through the well known CREATE2 deployment proxy,
+// which lives at the same address on most EVM chains. Given the
+// same salt and the same build, every chain ends up with the
+// same addresses.
+//
+// Proxies are created without any initialization data, and are
+// initialized by the signer in a second transaction. Otherwise
+// the factory would be the message sender during #initialize,
+// and would end up owning the contract.
+///////////////////////////////////////////
+const CREATE2_FACTORY = '0x4e59b44847b379578588920cA78FbF26c0B4956C';
+const CREATE2_FACTORY_CODE = '0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe0' +
+  '3601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3';
+
+const getCreate2Salt = function(salt, alias) {
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(salt + ':' + alias));
+}
+
+const getProxyInitCode = function(implementation) {
+  return ethers.utils.hexConcat([ERC1967Proxy.bytecode,
+    ethers.utils.defaultAbiCoder.encode(['address', 'bytes'], [implementation, '0x'])]);
+}
+
+///////////////////////////////////////////
+// predictDeterministicAddresses
+//
+// Given a salt and a contract alias, produce the addresses the
+// local build of the implementation and its proxy would land on.
+///////////////////////////////////////////
+const predictDeterministicAddresses = async function(salt, alias) {
+  const contract = await ethers.getContractFactory(alias);
+  const saltHash = getCreate2Salt(salt, alias);
+  const implementation = ethers.utils.getCreate2Address(CREATE2_FACTORY, saltHash,
+    ethers.utils.keccak256(contract.bytecode));
+  const proxy = ethers.utils.getCreate2Address(CREATE2_FACTORY, saltHash,
+    ethers.utils.keccak256(getProxyInitCode(implementation)));
+  return { implementation, proxy };
+}
+
+///////////////////////////////////////////
+// ensureCreate2Factory
+//
+// Determines if the CREATE2 factory exists on the chain. For
+// local hardhat chains, it will simply be installed.
+///////////////////////////////////////////
+const ensureCreate2Factory = async function(chainId) {
+  if ((await ethers.provider.getCode(CREATE2_FACTORY)) !== '0x') {
+    return true;
+  }
+  if (chainId === 31337) {
+    await network.provider.send('hardhat_setCode', [CREATE2_FACTORY, CREATE2_FACTORY_CODE]);
+    return true;
+  }
+  return false;
+}
+
+///////////////////////////////////////////
+// deployDeterministically
+//
+// Sends the init code through the CREATE2 factory. If the code
+// already exists at the resulting address, nothing is sent and
+// the existing address is used.
+///////////////////////////////////////////
+const deployDeterministically = async function(owner, salt, alias, initCode) {
+  const saltHash = getCreate2Salt(salt, alias);
+  const address = ethers.utils.getCreate2Address(CREATE2_FACTORY, saltHash, ethers.utils.keccak256(initCode));
+
+  if ((await ethers.provider.getCode(address)) !== '0x') {
+    console.log(" Code already exists at " + address + ", using it.");
+    return { address, txHash: null };
+  }
+
+  const response = await owner.sendTransaction({
+    to: CREATE2_FACTORY,
+    data: ethers.utils.hexConcat([saltHash, initCode])
+  });
+  await response.wait();
+
+  if ((await ethers.provider.getCode(address)) === '0x') {
+    throw new Error('CREATE2 deployment of ' + alias + ' did not produce code at ' + address);
+  }
+  return { address, txHash: response.hash };
+}
+
+///////////////////////////////////////////
+// Cost Estimation
+//
+// Implementation deployments, upgrades, and setters can be
+// estimated against the chain. A proxy's #initialize can't be,
+// because its dependencies may not exist yet, so it is
+// approximated from the storage it writes: the ownable and
+// initializable bookkeeping, plus a slot per dependency.
+//
+// Anything that fails to estimate falls back to a generous
+// constant, and is reported as approximate.
+///////////////////////////////////////////
+const INITIALIZE_BASE_GAS = 75000;
+const INITIALIZE_GAS_PER_DEPENDENCY = 25000;
+const FALLBACK_GAS = {
+  proxy:   250000,
+  upgrade:  60000,
+  setter:   60000
+};
+
+const estimateGas = async function(description, fallback, estimation) {
+  try {
+    return { description, gas: await estimation(), approximate: false };
+  } catch (err) {
+    return { description, gas: BigNumber.from(fallback), approximate: true };
+  }
+}
+
+///////////////////////////////////////////
+// estimateProxyGas
+//
+// The proxy's constructor insists its implementation has
+// code, which a predicted address won't have yet. The
+// implementation's runtime code is placed there for the
+// estimate: as a state override where the node supports
+// them, or otherwise inside a snapshot that gets reverted.
+///////////////////////////////////////////
+const estimateProxyGas = async function(owner, alias, implementation) {
+  const proxyFactory = new ethers.ContractFactory(ERC1967Proxy.abi, ERC1967Proxy.bytecode, owner);
+  const deployment = proxyFactory.getDeployTransaction(implementation, '0x');
+  if ((await ethers.provider.getCode(implementation)) !== '0x') {
+    return await owner.estimateGas(deployment);
+  }
+
+  const runtime = (await artifacts.readArtifact(alias)).deployedBytecode;
+  const call = { from: await owner.getAddress(), data: ethers.utils.hexlify(deployment.data) };
+  try {
+    return BigNumber.from(await ethers.provider.send('eth_estimateGas',
+      [call, 'latest', { [implementation]: { code: runtime } }]));
+  } catch (err) {
+    const snapshot = await ethers.provider.send('evm_snapshot', []);
+    try {
+      await ethers.provider.send('hardhat_setCode', [implementation, runtime]);
+      return await owner.estimateGas(deployment);
+    } finally {
+      await ethers.provider.send('evm_revert', [snapshot]);
+    }
+  }
+}
+
+///////////////////////////////////////////
+// estimateDeploymentGas
+//
+// Produces the gas estimates for each transaction needed
+// to deploy, redeploy, or upgrade the given alias.
+///////////////////////////////////////////
+const estimateDeploymentGas = async function(owner, chainId, alias, action) {
+  const contract = await ethers.getContractFactory(alias, owner);
+  const isImplementation = LocksmithRegistry.getImplementationList().includes(alias);
+  var estimates = [
+    await estimateGas(alias + ' implementation', FALLBACK_GAS.proxy, async () =>
+      await owner.estimateGas(contract.getDeployTransaction()))
+  ];
+
+  if (isImplementation) {
+    return estimates;
+  }
+
+  if (action === 'upgrade') {
+    // upgrading to the current implementation costs the same as any other
+    const proxy = LocksmithRegistry.getContractAddress(chainId, alias);
+    estimates.push(await estimateGas(alias + ' upgradeTo', FALLBACK_GAS.upgrade, async () =>
+      await contract.attach(proxy).estimateGas.upgradeTo(
+        await upgrades.erc1967.getImplementationAddress(proxy))));
+    return estimates;
+  }
+
+  // the proxy is estimated against where the implementation will land
+  estimates.push(await estimateGas(alias + ' proxy', FALLBACK_GAS.proxy, async () =>
+    await estimateProxyGas(owner, alias, ethers.utils.getContractAddress({
+      from:  await owner.getAddress(),
+      nonce: await owner.getTransactionCount()
+    }))));
+
+  const dependencies = await getInitializationAliases(alias);
+  estimates.push({
+    description: alias + ' #initialize',
+    gas: BigNumber.from(INITIALIZE_BASE_GAS + INITIALIZE_GAS_PER_DEPENDENCY * dependencies.length),
+    approximate: true
+  });
+  return estimates;
+}
+
+///////////////////////////////////////////
+// printCostEstimate
+//
+// Totals up the estimates at the current gas price, and
+// compares the cost against the signer's balance. If a USD
+// price for the native token is provided, that is shown too.
+///////////////////////////////////////////
+const printCostEstimate = async function(owner, estimates, price) {
+  const gasPrice = await owner.provider.getGasPrice();
+  const balance = await owner.provider.getBalance(owner.address);
+  const totalGas = estimates.reduce((sum, e) => sum.add(e.gas), BigNumber.from(0));
+  const totalCost = totalGas.mul(gasPrice);
+  const usd = (wei) => price ?
+    " ($" + (parseFloat(ethers.utils.formatEther(wei)) * parseFloat(price)).toFixed(2) + ")" : "";
+
+  console.log(greenText, "\n=== COST ESTIMATE ===\n");
+  estimates.forEach((e) => {
+    console.log(" " + e.description + ": " + e.gas.toString() + " gas" + (e.approximate ? " (approximate)" : ""));
+  });
+  console.log("\n Total Gas: " + totalGas.toString());
+  console.log(" Gas Price: " + ethers.utils.formatUnits(gasPrice, "gwei") + " gwei");
+  console.log(" Total Cost: " + ethers.utils.formatEther(totalCost) + usd(totalCost));
+  console.log(" Signer Balance: " + ethers.utils.formatEther(balance) + usd(balance));
+
+  if (balance.lt(totalCost)) {
+    console.log(redText, "\n[ ] The signer balance does not cover the estimated cost, short by " +
+      ethers.utils.formatEther(totalCost.sub(balance)) + usd(totalCost.sub(balance)));
+  } else {
+    console.log(greenText, "\n[✓] The signer balance covers the estimated cost");
+  }
+  return { totalGas, totalCost, balance };
+}
+
+///////////////////////////////////////////
+// Safe Proposals
+//
+// When the contracts are owned by a Safe, privileged calls
+// can't be sent from the signer. Instead, genie writes them
+// out as a batch the Safe transaction builder can import, so
+// co-signers can review and execute it.
+//
+// Alongside the batch, genie records what it expects to be
+// true on-chain once it executes. Ratifying the batch checks
+// those expectations and updates the registry.
+///////////////////////////////////////////
+const SAFE_TX_BUILDER_VERSION = '1.16.1';
+
+const proposeSafeBatch = async function(chainId, safe, name, transactions) {
+  const batch = {
+    version: '1.0',
+    chainId: chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name: name,
+      description: transactions.map((t) => t.description).join('\n'),
+      txBuilderVersion: SAFE_TX_BUILDER_VERSION,
+      createdFromSafeAddress: ethers.utils.getAddress(safe),
+      createdFromOwnerAddress: ''
+    },
+    transactions: transactions.map((t) => ({
+      to: t.to,
+      value: '0',
+      data: t.data,
+      contractMethod: null,
+      contractInputsValues: null
+    }))
+  };
+  return LocksmithRegistry.saveProposal(batch, {
+    expectations: transactions.map((t) => t.expect),
+    ratified: null
+  });
+}
+
+///////////////////////////////////////////
+// checkProposalOwner
+//
+// A batch that isn't coming from the owner is going to revert
+// when the Safe executes it, so warn about it up front.
+///////////////////////////////////////////
+const checkProposalOwner = async function(alias, address, safe) {
+  const implementation = await upgrades.erc1967.getImplementationAddress(address);
+  const owner = await getOnChainOwner(alias, address, implementation);
+  if (owner.toLowerCase() !== safe.toLowerCase()) {
+    console.log(yellowText, "WARNING: " + alias + " is owned by " + owner + ", not the safe " + safe);
+    console.log(yellowText, "The proposal will revert unless ownership moves to the safe first.");
+    return false;
+  }
+  return true;
+}
+
+///////////////////////////////////////////
+// checkExpectation
+//
+// Compares a single batch expectation against the chain,
+// producing the actual value seen.
+///////////////////////////////////////////
+const checkExpectation = async function(expect) {
+  var expected = null;
+  var actual = null;
+
+  if (expect.type === 'upgrade') {
+    expected = expect.implementation;
+    actual = await upgrades.erc1967.getImplementationAddress(expect.address);
+  } else if (expect.type === 'respect') {
+    const contract = await ethers.getContractFactory('KeyVault');
+    expected = expect.locksmith;
+    actual = await contract.attach(expect.address).locksmith();
+  } else if (expect.type === 'owner') {
+    expected = expect.owner;
+    actual = await getOnChainOwner(expect.alias, expect.address,
+      await upgrades.erc1967.getImplementationAddress(expect.address));
+  } else {
+    throw new Error('Unknown expectation type: ' + expect.type);
+  }
+
+  return { expected, actual, met: actual.toLowerCase() === expected.toLowerCase() };
+}
+
+///////////////////////////////////////////
+// Storage Layouts
+//
+// Genie snapshots the storage layout of everything it deploys,
+// per alias and per chain, so an upgrade can be checked against
+// what was actually shipped to that chain.
+//
+// Implementations like the VirtualKeyAddress are shared by proxies
+// that genie doesn't control, so for them, gaining any state at
+// all is treated as unsafe.
+///////////////////////////////////////////
+const getLocalStorageLayout = async function(alias, contract) {
+  const artifact = await artifacts.readArtifact(alias);
+  const buildInfo = await artifacts.getBuildInfo(artifact.sourceName + ':' + artifact.contractName);
+  const validations = validate(buildInfo.output, solcInputOutputDecoder(buildInfo.input, buildInfo.output));
+  return getStorageLayout(validations, getVersion(contract.bytecode));
+}
+
+const getDeployedStorageLayout = async function(implementation) {
+  const manifest = await Manifest.forNetwork(network.provider);
+  return (await manifest.getDeploymentFromAddress(implementation)).layout;
+}
+
+///////////////////////////////////////////
+// getSnapshotLayout
+//
+// Produces the storage layout snapshot for the alias. Deployments
+// that predate the snapshots fall back to the layout the upgrades
+// plugin recorded for the implementation, if there is one.
+///////////////////////////////////////////
+const getSnapshotLayout = async function(chainId, alias, implementation) {
+  const snapshot = LocksmithRegistry.getLayoutSnapshot(chainId, alias);
+  if (snapshot) {
+    return snapshot.layout;
+  }
+
+  try {
+    return await getDeployedStorageLayout(implementation);
+  } catch (err) {
+    return null;
+  }
+}
+
+///////////////////////////////////////////
+// diffStorageLayouts
+//
+// Produces a readable list of the variables that were removed,
+// moved, retyped, or added between two storage layouts.
+///////////////////////////////////////////
+const diffStorageLayouts = function(snapshot, local) {
+  const key = (item) => item.contract + '.' + item.label;
+  const typeOf = (layout, item) => (layout.types[item.type] || { label: item.type }).label;
+  const before = new Map(snapshot.storage.map((item) => [key(item), item]));
+  const after = new Map(local.storage.map((item) => [key(item), item]));
+  var changes = [];
+
+  for (const [label, previous] of before) {
+    const current = after.get(label);
+    if (!current) {
+      changes.push({ kind: 'removed', label, description: typeOf(snapshot, previous) + ' at slot ' + previous.slot });
+      continue;
+    }
+    if (previous.slot !== current.slot || previous.offset !== current.offset) {
+      changes.push({ kind: 'moved', label, description: 'slot ' + previous.slot + ':' + previous.offset +
+        ' -> ' + current.slot + ':' + current.offset });
+    }
+    if (typeOf(snapshot, previous) !== typeOf(local, current)) {
+      changes.push({ kind: 'retyped', label, description: typeOf(snapshot, previous) + ' -> ' + typeOf(local, current) });
+    }
+  }
+
+  for (const [label, current] of after) {
+    if (!before.has(label)) {
+      changes.push({ kind: 'added', label, description: typeOf(local, current) + ' at slot ' + current.slot });
+    }
+  }
+  return changes;
+}
+
+///////////////////////////////////////////
+// checkStorageLayout
+//
+// Compares the local build's storage layout against the alias'
+// snapshot, printing what changed. Produces false if the new
+// layout isn't safe to put behind the existing state.
+///////////////////////////////////////////
+const checkStorageLayout = async function(chainId, alias, contract, implementation, isImplementation) {
+  console.log(greenText, "\n=== Validating storage layout... ===\n");
+  const snapshot = await getSnapshotLayout(chainId, alias, implementation);
+  if (snapshot === null) {
+    console.log(yellowText, "There is no storage layout snapshot for " + alias + ", so it can't be checked.");
+    return true;
+  }
+
+  const local = await getLocalStorageLayout(alias, contract);
+  const changes = diffStorageLayouts(snapshot, local);
+  changes.forEach((c) => {
+    console.log(" [" + c.kind + "] " + c.label + ": " + c.description);
+  });
+  if (changes.length === 0) {
+    console.log(" The storage layout hasn't changed.");
+  }
+
+  // the plugin checks against the layout it recorded when it deployed the
+  // implementation, and anything it didn't deploy is checked against the snapshot
+  try {
+    await upgrades.validateUpgrade(implementation, contract, { kind: 'uups' });
+  } catch (err) {
+    if (!/is not registered/.test(err.message)) {
+      console.log(redText, "\nThe new implementation is incompatible with the deployed one:\n");
+      console.log(err.message);
+      return false;
+    }
+    const report = getStorageUpgradeReport(snapshot, local, withValidationDefaults({}));
+    if (!report.ok) {
+      console.log(redText, "\nThe new storage layout is incompatible with the snapshot:\n");
+      console.log(report.explain());
+      return false;
+    }
+  }
+  if (isImplementation && changes.some((c) => c.kind === 'added')) {
+    console.log(redText, "\n" + alias + " is a shared implementation, and shouldn't be gaining state.");
+    return false;
+  }
+
+  console.log(greenText, "The new storage layout is compatible.");
+  return true;
+}
+
+///////////////////////////////////////////
+// Verification
+//
+// Every registered alias is verified as two contracts: the
+// implementation from the local build, and the ERC1967 proxy
+// in front of it. The proxy comes from the upgrades plugin's
+// build, so it goes through the plugin's verify task, which
+// recovers its constructor arguments from the explorer.
+///////////////////////////////////////////
+const getVerificationTargets = async function(chainId, alias, isImplementation) {
+  const entry = LocksmithRegistry.getContractEntry(chainId, alias,
+    isImplementation ? 'implementations' : 'contracts');
+  const artifact = await artifacts.readArtifact(alias);
+
+  var targets = [{
+    kind:     'implementation',
+    address:  isImplementation ? entry.address : await upgrades.erc1967.getImplementationAddress(entry.address),
+    contract: artifact.sourceName + ':' + artifact.contractName
+  }];
 
-  // determine if its a ledger configuration or not?
-  // TODO: this is a bit of a hack it seems
-  const signer = signers.length > 20 ? signers[20] : signers[0];
+  if (!isImplementation) {
+    targets.push({ kind: 'proxy', address: entry.address });
+  }
+  return targets;
+}
 
-  // for networks that absolutely require type 2 transactions, avoid
-  // the hardhat signer by creating a wallet.
-  if ((await signer.getChainId()).toString().match(/3141/)) {
-    return new ethers.Wallet(process.env.MY_PRIVATE_KEY, ethers.provider);
-  } else if ((await signer.getChainId()).toString().match(/314/)) {
-    return new ethers.Wallet(process.env.MY_FILECOIN_KEY, ethers.provider);
+///////////////////////////////////////////
+// submitVerification
+//
+// Submits a single verification target to the network's
+// explorer. Explorers refuse to verify the same code twice,
+// which is as good as a pass.
+///////////////////////////////////////////
+const submitVerification = async function(target) {
+  try {
+    if (target.kind === 'proxy') {
+      await run('verify', { address: target.address });
+    } else {
+      await run('verify:verify', {
+        address:              target.address,
+        contract:             target.contract,
+        constructorArguments: []
+      });
+    }
+    return { status: 'verified' };
+  } catch (err) {
+    if (err.message.match(/already verified/i)) {
+      return { status: 'verified' };
+    }
+    return { status: 'failed', reason: err.message.trim().split('\n')[0] };
   }
+}
 
-  // for networks that are backwards compatible, allow
-  // hardhat to do unenveloped transactions at the potential
-  // of overpaying for gas
-  return signer; 
+///////////////////////////////////////////
+// describeVerification
+//
+// Summarizes the recorded verification status of a registry
+// entry, ignoring anything recorded for a previous address.
+///////////////////////////////////////////
+const describeVerification = function(entry, isImplementation) {
+  const current = {
+    implementation: isImplementation ? entry.address : entry.implementation,
+    proxy:          isImplementation ? null : entry.address
+  };
+
+  return Object.keys(current).filter((kind) => current[kind]).map((kind) => {
+    const status = (entry.verification || {})[kind];
+    if (!status || status.address !== current[kind]) {
+      return yellow(kind + ' unverified');
+    }
+    return status.status === 'verified' ? green(kind + ' ✓') : red(kind + ' ✗');
+  }).join(', ');
+}
+
+///////////////////////////////////////////
+// printManifestWarnings
+//
+// Lets the operator know about manifest entries that
+// have never been deployed on this chain, as well as
+// registry entries the manifest doesn't know about.
+///////////////////////////////////////////
+const printManifestWarnings = function(chainId) {
+  const undeployed = LocksmithRegistry.getUndeployedList(chainId);
+  const unknown = LocksmithRegistry.getUnknownList(chainId);
+
+  if (undeployed.length !== 0) {
+    console.log(yellowText, "\nWARNING: Never deployed on this chain: " + undeployed.join(', '));
+  }
+  if (unknown.length !== 0) {
+    console.log(yellowText, "\nWARNING: In the registry, but not in the manifest: " + unknown.join(', '));
+  }
 }
 
 task("show", "Show the state of the current genie deployment")
+  .addOptionalParam('contract', 'Only show the state of the given alias.')
   .setAction(async (taskArgs) => {
+    if (taskArgs['contract'] && !LocksmithRegistry.isInManifest(taskArgs['contract'])) {
+      console.log(redText, taskArgs['contract'] + " is not in the manifest, there is nothing to show.");
+      return 1;
+    }
+
     const owner = await patchOwner(); 
     const chainId = await owner.getChainId();
     const balance = await owner.provider.getBalance(owner.address);
     const gasPrice = await owner.provider.getGasPrice();
+    const signerConfig = LocksmithSigner.getSignerConfig(network.name, chainId);
+    const throttleConfig = LocksmithThrottle.getThrottleConfig(network.name, chainId);
 
     console.log(greenText, '\n==== GENIE, SHOW! ====\n');
     console.log(JSON.stringify(taskArgs, null, 2));
@@ -126,22 +759,28 @@ task("show", "Show the state of the current genie deployment")
     console.log(" Signer Network Chain ID: " + chainId);
     console.log(" Signer Wallet Address: " + owner.address);
     console.log(" Signer Balance: " + ethers.utils.formatEther(balance));
+    console.log(" Signer Strategy: " + signerConfig.strategy);
     console.log(greenText, "\n=== NETWORK CONDITIONS ===\n");
     console.log( " Gas Price: " + ethers.utils.formatUnits(gasPrice, "gwei"));
+    console.log( " Transaction Policy: " + signerConfig.transactions);
+    console.log( " Request Throttle: " + (throttleConfig.rps ? throttleConfig.rps + " per second" : "none"));
 
     var deployed = 0;
     var availableDeployments = [];
     var totalNeeded = 0;
     
     console.log(greenText, "\n=== CURRENT ===\n");
-    for(const c of [LocksmithRegistry.getContractList(), LocksmithRegistry.getImplementationList()].flat(2) ) {
+    const aliases = taskArgs['contract'] ? [taskArgs['contract']] :
+      [LocksmithRegistry.getContractList(), LocksmithRegistry.getImplementationList()].flat(2);
+
+    // ask the chain about every contract at once, and let the throttle pace it
+    const sorted = await Promise.all(aliases.map((c) => sortDependencies(c)));
+    for(const [i, c] of aliases.entries()) {
       const contract = await ethers.getContractFactory(c);
       const currentAddress  = LocksmithRegistry.findContractAddress(chainId, c);
       const currentCodeHash = LocksmithRegistry.findContractCodeHash(chainId, c);
       const localCodeHash = ethers.utils.keccak256(contract.bytecode);
-
-      // build the contract and get the dependencies
-      const { dependencies, missing } = await sortDependencies(c);
+      const { dependencies, missing } = sorted[i];
 
       console.log("----------------------");
       console.log(currentAddress != null ? greenText : (missing.length === 0 ? yellowText : redText), c + ": " + currentAddress);
@@ -151,6 +790,22 @@ task("show", "Show the state of the current genie deployment")
         console.log(yellowText, " - Current Code Hash: " + currentCodeHash);
         console.log(yellowText, " - Local Code Hash: " + localCodeHash);
       }
+      const entry = LocksmithRegistry.findContractEntry(chainId, c);
+      if (entry.salt) {
+        const elsewhere = LocksmithRegistry.getRegisteredChainIds().filter((otherChainId) => {
+          const other = LocksmithRegistry.findContractEntry(otherChainId, c);
+          return other.salt === entry.salt && other.address !== entry.address;
+        });
+        console.log(entry.address === entry.predicted ? greenText : redText,
+          " - Deterministic: salt '" + entry.salt + "', predicted " + entry.predicted);
+        if (elsewhere.length !== 0) {
+          console.log(redText, " - Same salt, different address on chains: " + elsewhere.join(', '));
+        }
+      }
+      if (currentAddress !== null) {
+        console.log(" - Verification: " + describeVerification(entry,
+          LocksmithRegistry.getImplementationList().includes(c)));
+      }
       console.log(" - Dependencies: " + dependencies.map((d) => {
         if (d.address === null) {
           return blue(d.alias);
@@ -158,6 +813,8 @@ task("show", "Show the state of the current genie deployment")
           return yellow(d.alias);
         } else if (d.address === d.integrity) {
           return green(d.alias);
+        } else if (d.integrity === 'unknown') {
+          return yellow(d.alias + " (unknown)");
         }
 
         return red(d.alias + " (" + d.integrity + ")");
@@ -168,12 +825,11 @@ task("show", "Show the state of the current genie deployment")
       if (missing.length === 0 && currentAddress === null) {
         availableDeployments.push(c)
       }
-
-      syncWait(1000);
     };
 
     console.log("\n\nTotal Deployment Progress: " + deployed + " of " + totalNeeded);
     console.log("Available deployments: " + availableDeployments.join(', '));
+    printManifestWarnings(chainId);
 
     console.log("\n\nIntegrity Checks: ");
 
@@ -231,28 +887,402 @@ task("shadow", "Deploy a shadow ERC20 and fund the signer, mainly for localhost.
       await contract.connect(owner).spawn(ethers.utils.parseEther('' + taskArgs.amount));
       await contract.connect(owner).approve(tokenVaultAddress, ethers.utils.parseEther("100"));
       
-      LocksmithRegistry.saveContractAddress(chainId, taskArgs.alias, contract.address, 'assets');
+      LocksmithRegistry.saveAssetEntry(chainId, taskArgs.alias, {
+        address:  contract.address,
+        standard: 20,
+        id:       '0',
+        arn:      LocksmithArn.encode(contract.address, 20),
+        name:     taskArgs.alias,
+        symbol:   taskArgs.ticker,
+        decimals: 18
+      });
       console.log(greenText, 'Successful! The asset address has been saved as ' + contract.address);
   });
 
-task("deploy", "Deploy a specific contract generating a new address for it.")
-  .addParam('contract', 'The name of the contract you want to deploy.')
-  .addOptionalParam('force', 'Flag to force deploy even if there\'s and existing address.', false, types.boolean)
-  .addOptionalParam('upgrade', 'Flag to do an upgrade deployment even if there\'s and existing address.', false, types.boolean)
-  .addOptionalParam('dry', 'Flag to do the operation up until the point of actually deploying/upgrading, and stopping.')
-  .setAction(async (taskArgs) => {
-    // this assumes that the signer has been loaded, either through
-    // hardhat local defaults, or using alchemy and testnet or production
-    // credentials via dotenv (.env) and hardhat.config.js
-    const owner = await patchOwner();
-    const chainId = await owner.getChainId();
-    const balance = await owner.provider.getBalance(owner.address);
+///////////////////////////////////////////
+// ASSETS
+//
+// The assets registry records the tokens genie knows about
+// on each chain, along with the ARN the contracts know them
+// by, so tooling can turn raw ARNs from the ledger back
+// into names.
+//
+// Fungible tokens (20, 777) always have an ID of zero,
+// while each ID of a non-fungible token (721, 1155) is
+// its own asset.
+///////////////////////////////////////////
+const ASSET_STANDARDS = [20, 721, 777, 1155];
+const FUNGIBLE_STANDARDS = [20, 777];
+const ASSET_INTERFACES = { 721: '0x80ac58cd', 1155: '0xd9b67a26' };
+const ASSET_METADATA_ABI = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function granularity() view returns (uint256)',
+  'function supportsInterface(bytes4) view returns (bool)'
+];
 
-    // do a sanity check.
-    if (taskArgs.force && taskArgs.upgrade) {
-      console.log(yellowText, "You can not use --force and --upgrade together.");
-      return 1;
-    }
+///////////////////////////////////////////
+// fetchAssetMetadata
+//
+// Reads the name, symbol, and decimals of a token from
+// the chain, after making sure it looks like the given
+// standard. Anything the token doesn't implement is null.
+///////////////////////////////////////////
+const fetchAssetMetadata = async function(address, standard) {
+  if ((await ethers.provider.getCode(address)) === '0x') {
+    throw new Error('There is no contract at ' + address);
+  }
+
+  const token = new ethers.Contract(address, ASSET_METADATA_ABI, ethers.provider);
+  const optional = (call) => call.catch(() => null);
+  if (ASSET_INTERFACES[standard] && !(await optional(token.supportsInterface(ASSET_INTERFACES[standard])))) {
+    throw new Error(address + ' does not support ERC' + standard);
+  }
+  if (standard === 777 && (await optional(token.granularity())) === null) {
+    throw new Error(address + ' does not support ERC777');
+  }
+
+  var decimals = 0;
+  if (FUNGIBLE_STANDARDS.includes(standard)) {
+    decimals = await optional(token.decimals());
+    decimals = decimals === null && standard === 777 ? 18 : decimals;
+  }
+  return {
+    name:     await optional(token.name()),
+    symbol:   await optional(token.symbol()),
+    decimals: decimals
+  };
+}
+
+///////////////////////////////////////////
+// validateAsset
+//
+// Compares an asset registry entry against its ARN and
+// the chain, producing a list of problems.
+///////////////////////////////////////////
+const validateAsset = async function(entry) {
+  const standard = entry.standard || 20;
+  var problems = [];
+  if (!ASSET_STANDARDS.includes(standard)) {
+    return ['unknown token standard ' + standard];
+  }
+  if (!entry.arn) {
+    problems.push('no ARN recorded');
+  } else {
+    try {
+      if (entry.arn !== LocksmithArn.encode(entry.address, standard, entry.id || 0)) {
+        problems.push('the ARN doesn\'t match the address, standard, and ID');
+      }
+    } catch (err) {
+      problems.push(err.message);
+    }
+  }
+
+  try {
+    const metadata = await fetchAssetMetadata(entry.address, standard);
+    for (const field of ['symbol', 'decimals']) {
+      if (entry[field] === undefined) {
+        problems.push('no ' + field + ' recorded');
+      } else if (metadata[field] !== null && metadata[field] !== entry[field]) {
+        problems.push(field + ' is ' + entry[field] + ', but the chain says ' + metadata[field]);
+      }
+    }
+  } catch (err) {
+    problems.push(err.message);
+  }
+  return problems;
+}
+
+task("asset-register", "Record an existing token in the assets registry.")
+  .addParam('alias', 'The alias you want to give the asset.')
+  .addParam('address', 'The address of the token contract.')
+  .addOptionalParam('standard', 'The token standard: 20, 721, 777, or 1155.', 20, types.int)
+  .addOptionalParam('id', 'The token ID, for non-fungible standards.', '0')
+  .addOptionalParam('symbol', 'The symbol to record, instead of the one on chain.')
+  .addOptionalParam('decimals', 'The decimals to record, instead of the ones on chain.', undefined, types.int)
+  .addOptionalParam('force', 'Flag to overwrite an existing alias.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+
+    console.log(greenText, '\n==== GENIE, ASSET REGISTER! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    const standard = taskArgs['standard'];
+    if (!ASSET_STANDARDS.includes(standard)) {
+      console.log(redText, "\nThe token standard must be one of " + ASSET_STANDARDS.join(', '));
+      return 1;
+    }
+    if (FUNGIBLE_STANDARDS.includes(standard) && taskArgs['id'] !== '0') {
+      console.log(redText, "\nFungible tokens don't have IDs.");
+      return 1;
+    }
+    if (LocksmithRegistry.getAssetEntries(chainId)[taskArgs['alias']] && !taskArgs['force']) {
+      console.log(yellowText, "\nThe alias " + taskArgs['alias'] + " is already registered, use --force to replace it.");
+      return 1;
+    }
+
+    console.log(greenText, "\n=== ON CHAIN METADATA ===\n");
+    const address = ethers.utils.getAddress(taskArgs['address']);
+    var metadata = null;
+    try {
+      metadata = await fetchAssetMetadata(address, standard);
+    } catch (err) {
+      console.log(redText, " " + err.message);
+      return 1;
+    }
+    console.log(" Name: " + metadata.name);
+    console.log(" Symbol: " + metadata.symbol);
+    console.log(" Decimals: " + metadata.decimals);
+
+    const asset = {
+      address:  address,
+      standard: standard,
+      id:       ethers.BigNumber.from(taskArgs['id']).toString(),
+      arn:      LocksmithArn.encode(address, standard, taskArgs['id']),
+      name:     metadata.name,
+      symbol:   taskArgs['symbol'] || metadata.symbol,
+      decimals: taskArgs['decimals'] !== undefined ? taskArgs['decimals'] : metadata.decimals
+    };
+    if (asset.symbol === null || asset.decimals === null) {
+      console.log(redText, "\nThe token doesn't report its " + (asset.symbol === null ? 'symbol' : 'decimals') +
+        ", so it needs to be given.");
+      return 1;
+    }
+
+    const existing = LocksmithRegistry.getAssetByArn(chainId, asset.arn);
+    if (existing && existing.alias !== taskArgs['alias']) {
+      console.log(redText, "\nThis asset is already registered as " + existing.alias);
+      return 1;
+    }
+
+    LocksmithRegistry.saveAssetEntry(chainId, taskArgs['alias'], asset);
+    console.log(greenText, "\nSuccessful! " + taskArgs['alias'] + " has been saved with the ARN " + asset.arn);
+  });
+
+task("asset-fetch", "Refresh the metadata of registered assets from the chain.")
+  .addOptionalParam('alias', 'Only refresh the given alias.')
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+
+    console.log(greenText, '\n==== GENIE, ASSET FETCH! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    console.log(greenText, "\n=== ASSETS ===\n");
+    const entries = Object.entries(LocksmithRegistry.getAssetEntries(chainId))
+      .filter(([alias]) => !taskArgs['alias'] || alias === taskArgs['alias']);
+    if (entries.length === 0) {
+      console.log(yellowText, " There are no assets to fetch.");
+      return 1;
+    }
+
+    for (const [alias, entry] of entries) {
+      const standard = entry.standard || 20;
+      const id = entry.id || '0';
+      var metadata = null;
+      try {
+        metadata = await fetchAssetMetadata(entry.address, standard);
+      } catch (err) {
+        console.log(redText, " [✗] " + alias + ": " + err.message);
+        continue;
+      }
+
+      // keep what was recorded for anything the token doesn't report
+      const asset = {
+        address:  entry.address,
+        standard: standard,
+        id:       id,
+        arn:      LocksmithArn.encode(entry.address, standard, id),
+        name:     metadata.name !== null ? metadata.name : entry.name,
+        symbol:   metadata.symbol !== null ? metadata.symbol : entry.symbol,
+        decimals: metadata.decimals !== null ? metadata.decimals : entry.decimals
+      };
+      const changed = Object.keys(asset).filter((field) => asset[field] !== entry[field]);
+      if (changed.length !== 0) {
+        LocksmithRegistry.saveAssetEntry(chainId, alias, asset);
+      }
+      console.log(greenText, " [✓] " + alias + ": " + (changed.length === 0 ? 'unchanged' :
+        changed.map((f) => f + ' ' + entry[f] + ' => ' + asset[f]).join(', ')));
+    }
+  });
+
+task("asset-list", "List the assets registered for the current network.")
+  .addOptionalParam('json', 'Flag to print the assets as JSON instead of a table.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+    const assets = LocksmithRegistry.getAssetEntries(chainId);
+
+    if (taskArgs['json']) {
+      console.log(JSON.stringify(assets, null, 2));
+      return assets;
+    }
+
+    console.log(greenText, '\n==== GENIE, ASSET LIST! ====\n');
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    console.log(greenText, "\n=== ASSETS ===\n");
+    console.log(' ' + 'Alias'.padEnd(16) + 'ERC'.padEnd(6) + 'Symbol'.padEnd(10) + 'Dec'.padEnd(5) +
+      'Address'.padEnd(44) + 'ARN');
+    for (const [alias, entry] of Object.entries(assets)) {
+      console.log(' ' + alias.padEnd(16) + ('' + (entry.standard || 20)).padEnd(6) +
+        ('' + (entry.symbol || '?')).padEnd(10) + ('' + (entry.decimals !== undefined ? entry.decimals : '?')).padEnd(5) +
+        entry.address.padEnd(44) + (entry.arn || yellow('unknown, run asset-fetch')));
+    }
+    return assets;
+  });
+
+task("asset-remove", "Remove an asset from the assets registry.")
+  .addParam('alias', 'The alias of the asset to remove.')
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+
+    console.log(greenText, '\n==== GENIE, ASSET REMOVE! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    if (!LocksmithRegistry.getAssetEntries(chainId)[taskArgs['alias']]) {
+      console.log(redText, "\nThe alias " + taskArgs['alias'] + " isn't registered.");
+      return 1;
+    }
+    LocksmithRegistry.removeAssetEntry(chainId, taskArgs['alias']);
+    console.log(greenText, "\nSuccessful! " + taskArgs['alias'] + " has been removed.");
+  });
+
+task("asset-validate", "Check every registered asset against its ARN and the chain.")
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+
+    console.log(greenText, '\n==== GENIE, ASSET VALIDATE! ====\n');
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    console.log(greenText, "\n=== ASSETS ===\n");
+    var seen = {};
+    var invalid = 0;
+    for (const [alias, entry] of Object.entries(LocksmithRegistry.getAssetEntries(chainId))) {
+      var problems = await validateAsset(entry);
+      if (entry.arn && seen[entry.arn]) {
+        problems.push('the same asset as ' + seen[entry.arn]);
+      }
+      if (entry.arn) {
+        seen[entry.arn] = alias;
+      }
+
+      console.log(problems.length === 0 ? greenText : redText, " [" + (problems.length === 0 ? '✓' : '✗') + "] " + alias);
+      problems.forEach((p) => console.log("   - " + p));
+      invalid += problems.length === 0 ? 0 : 1;
+    }
+
+    console.log(invalid === 0 ? greenText : redText, "\nInvalid assets: " + invalid);
+    if (invalid !== 0) {
+      process.exitCode = 1;
+    }
+  });
+
+task("arn", "Encode an ARN, or look one up, and show which vaults can hold it.")
+  .addOptionalParam('arn', 'The ARN to look up.')
+  .addOptionalParam('address', 'The token contract to encode, or the zero address for ETH.')
+  .addOptionalParam('standard', 'The token standard to encode: 0, 20, 721, 777, or 1155.', 20, types.int)
+  .addOptionalParam('id', 'The token ID to encode, for non-fungible standards.', '0')
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+
+    console.log(greenText, '\n==== GENIE, ARN! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    if (!taskArgs['arn'] === !taskArgs['address']) {
+      console.log(yellowText, "\nGive either an --arn to look up, or an --address to encode.");
+      return 1;
+    }
+
+    var arn = taskArgs['arn'];
+    if (!arn) {
+      try {
+        arn = LocksmithArn.encode(ethers.utils.getAddress(taskArgs['address']), taskArgs['standard'], taskArgs['id']);
+      } catch (err) {
+        console.log(redText, "\n" + err.message);
+        return 1;
+      }
+    }
+
+    const assets = LocksmithRegistry.getAssetLookup(chainId, ethers.provider);
+    const asset = await assets.discover(arn);
+    console.log(greenText, "\n=== ASSET ===\n");
+    console.log(" ARN: " + arn);
+    if (!asset) {
+      console.log(yellowText, " Unknown, it isn't registered or held by the token vault.");
+      return 1;
+    }
+    console.log(" Name: " + asset.name);
+    console.log(" Contract: " + asset.contractAddress);
+    console.log(" Standard: " + asset.tokenStandard);
+    console.log(" ID: " + asset.id);
+
+    const vaults = assets.getSupportingVaults(arn);
+    console.log(greenText, "\n=== VAULTS ===\n");
+    for (const vault of ['EtherVault', 'TokenVault']) {
+      console.log(vaults.includes(vault) ? greenText : redText,
+        " [" + (vaults.includes(vault) ? '✓' : '✗') + "] " + vault);
+    }
+    return asset;
+  });
+
+task("deploy", "Deploy a specific contract generating a new address for it.")
+  .addParam('contract', 'The name of the contract you want to deploy.')
+  .addOptionalParam('force', 'Flag to force deploy even if there\'s and existing address.', false, types.boolean)
+  .addOptionalParam('upgrade', 'Flag to do an upgrade deployment even if there\'s and existing address.', false, types.boolean)
+  .addOptionalParam('dry', 'Flag to do the operation up until the point of actually deploying/upgrading, and stopping.')
+  .addOptionalParam('salt', 'Deploy deterministically through the CREATE2 factory with the given salt.')
+  .addOptionalParam('price', 'The USD price of the native token, for cost estimates on dry runs.')
+  .addOptionalParam('propose', 'Deploy the implementation, but propose the upgrade to the given safe instead.')
+  .setAction(async (taskArgs) => {
+    // this assumes that the signer has been loaded, either through
+    // hardhat local defaults, or using alchemy and testnet or production
+    // credentials via dotenv (.env) and hardhat.config.js
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+    const balance = await owner.provider.getBalance(owner.address);
+
+    // do a sanity check.
+    if (taskArgs.force && taskArgs.upgrade) {
+      console.log(yellowText, "You can not use --force and --upgrade together.");
+      return 1;
+    }
+    if (taskArgs['propose'] && !taskArgs['upgrade']) {
+      console.log(yellowText, "You can only use --propose with --upgrade.");
+      return 1;
+    }
+    if (taskArgs['propose'] && !ethers.utils.isAddress(taskArgs['propose'])) {
+      console.log(redText, "The safe to propose to is not an address: " + taskArgs['propose']);
+      return 1;
+    }
+
+    // only deploy what the manifest knows about
+    if (!LocksmithRegistry.isInManifest(taskArgs['contract'])) {
+      console.log(redText, taskArgs['contract'] + " is not in the manifest, refusing to deploy it.");
+      console.log(yellowText, "If this is a new contract, add it to registries/manifest.json first.");
+      return 1;
+    }
 
     console.log(greenText, '\n==== GENIE, DEPLOY! ====\n');
     console.log(JSON.stringify(taskArgs, null, 2));
@@ -328,9 +1358,31 @@ task("deploy", "Deploy a specific contract generating a new address for it.")
 
     console.log("Local Code Hash: " + localCodeHash);
 
+    const predicted = taskArgs['salt'] && !taskArgs['upgrade'] ?
+      await predictDeterministicAddresses(taskArgs['salt'], taskArgs['contract']) : null;
+    if (predicted) {
+      console.log("Deterministic Salt: " + taskArgs['salt']);
+      console.log("Predicted Implementation: " + predicted.implementation);
+      if (!isImplementation) {
+        console.log("Predicted Proxy: " + predicted.proxy);
+      }
+    }
+
+    // make sure the new code won't trample the state that's already out there
+    if ((taskArgs['upgrade'] && !isImplementation) || (isImplementation && hasAddress)) {
+      const currentImplementation = isImplementation ? currentAddress :
+        await upgrades.erc1967.getImplementationAddress(currentAddress);
+      if (!(await checkStorageLayout(chainId, taskArgs['contract'], contract, currentImplementation, isImplementation))) {
+        console.log(redText, "\nRefusing to deploy an unsafe storage layout.");
+        return 1;
+      }
+    }
+
     // stop here if its a dry run
     if (taskArgs['dry']) {
       console.log(greenText, "Upgrade: " + taskArgs['upgrade']);
+      await printCostEstimate(owner, await estimateDeploymentGas(owner, chainId, taskArgs['contract'],
+        taskArgs['upgrade'] ? 'upgrade' : 'deploy'), taskArgs['price']);
       console.log(greenText, "This was a dry run, so we won't actualy do this.");
       return 0;
     }
@@ -351,13 +1403,50 @@ task("deploy", "Deploy a specific contract generating a new address for it.")
         return 1;
       }
 
+      // leave the upgrade itself to the safe
+      if (taskArgs['propose']) {
+        await checkProposalOwner(taskArgs['contract'], currentAddress, taskArgs['propose']);
+
+        console.log("Calling upgrades.prepareUpgrade(" + currentAddress +
+          ", [contract:" + taskArgs['contract'] + "])");
+        const implementation = await upgrades.prepareUpgrade(currentAddress, contract, {
+          kind: 'uups',
+          timeout: 180000,
+        });
+        const fileName = await proposeSafeBatch(chainId, taskArgs['propose'], 'Upgrade ' + taskArgs['contract'], [{
+          description: taskArgs['contract'] + '.upgradeTo(' + implementation + ')',
+          to: currentAddress,
+          data: contract.interface.encodeFunctionData('upgradeTo', [implementation]),
+          expect: {
+            type:           'upgrade',
+            alias:          taskArgs['contract'],
+            address:        currentAddress,
+            implementation: implementation,
+            codeHash:       localCodeHash
+          }
+        }]);
+        console.log(greenText, "The new implementation has been deployed: " + implementation);
+        console.log(greenText, "The upgrade has been proposed in: " + fileName);
+        console.log("Once the safe has executed it, run: genie ratify --batch " + fileName);
+        return 0;
+      }
+
       console.log("Calling upgrades.upgradeProxy(" + currentAddress + 
         ", [contract:" + taskArgs['contract'] + "])"); 
       const deployment = await upgrades.upgradeProxy(currentAddress, contract, {
         timeout: 180000,
       });
-      LocksmithRegistry.saveContractCodeHash(chainId, taskArgs['contract'], localCodeHash);
+      LocksmithRegistry.saveContractDeployment(chainId, taskArgs['contract'], {
+        address:        currentAddress,
+        implementation: await upgrades.erc1967.getImplementationAddress(currentAddress),
+        codeHash:       localCodeHash,
+        deployer:       owner.address,
+        txHash:         deployment.deployTransaction ? deployment.deployTransaction.hash : null
+      });
+      LocksmithRegistry.saveLayoutSnapshot(chainId, taskArgs['contract'], localCodeHash,
+        await getLocalStorageLayout(taskArgs['contract'], contract));
       console.log(greenText, "The code hash been saved as well: " + localCodeHash); 
+      console.log("The previous code hash has been kept in the registry history: " + currentCodeHash);
       console.log("Upgrade complete!");
     } else {
       // nah, just deploy it, either via proxy, or directly, depending on what registry
@@ -365,24 +1454,77 @@ task("deploy", "Deploy a specific contract generating a new address for it.")
       var deployment = null;
  
       try {
-        if (isImplementation) {
-          console.log("Calling contract.deploy()");
-          deployment = await contract.deploy();
+        if (predicted) {
+          if (!(await ensureCreate2Factory(chainId))) {
+            console.log(redText, "There is no CREATE2 factory at " + CREATE2_FACTORY + " on this chain.");
+            return 1;
+          }
+          if (!isImplementation && (await ethers.provider.getCode(predicted.proxy)) !== '0x') {
+            console.log(redText, "Something already lives at the predicted proxy address, try a different --salt.");
+            return 1;
+          }
+          if (!isImplementation) {
+            await upgrades.validateImplementation(contract, { kind: 'uups' });
+          }
+
+          console.log("Calling the CREATE2 factory for the implementation");
+          const implementation = await deployDeterministically(owner, taskArgs['salt'],
+            taskArgs['contract'], contract.bytecode);
+          deployment = { ...implementation, implementation: null };
+
+          if (!isImplementation) {
+            console.log("Calling the CREATE2 factory for the proxy");
+            deployment = await deployDeterministically(owner, taskArgs['salt'],
+              taskArgs['contract'], getProxyInitCode(implementation.address));
+            deployment.implementation = implementation.address;
+
+            console.log("Calling #initialize([" + preparedArguments + "])");
+            const response = await contract.attach(deployment.address).connect(owner).initialize(...preparedArguments);
+            await response.wait();
+            await upgrades.forceImport(deployment.address, contract, { kind: 'uups' });
+
+            // make sure no one initialized it out from under us
+            const proxyOwner = await getOnChainOwner(taskArgs['contract'], deployment.address, implementation.address);
+            if (proxyOwner !== owner.address) {
+              throw new Error('The proxy is owned by ' + proxyOwner + ', not the signer!');
+            }
+          }
         } else {
-          console.log("Calling upgrades.deployProxy with #initialize([" + preparedArguments + "])"); 
-          deployment = await upgrades.deployProxy(contract, preparedArguments, {
-            timeout: 180000
-          });
+          if (isImplementation) {
+            console.log("Calling contract.deploy()");
+            deployment = await contract.deploy();
+          } else {
+            console.log("Calling upgrades.deployProxy with #initialize([" + preparedArguments + "])"); 
+            deployment = await upgrades.deployProxy(contract, preparedArguments, {
+              timeout: 180000
+            });
+          }
+          await deployment.deployed();
+          deployment = {
+            address:        deployment.address,
+            implementation: isImplementation ? null :
+              await upgrades.erc1967.getImplementationAddress(deployment.address),
+            txHash:         deployment.deployTransaction.hash
+          };
         }
-        await deployment.deployed();
       
         console.log(greenText, "Deployment complete! Address: " + deployment.address);
-        LocksmithRegistry.saveContractAddress(chainId, taskArgs['contract'], deployment.address,
-          isImplementation ? 'implementations' : 'contracts');
+        LocksmithRegistry.saveContractDeployment(chainId, taskArgs['contract'], {
+          address:        deployment.address,
+          implementation: deployment.implementation,
+          codeHash:       localCodeHash,
+          deployer:       owner.address,
+          txHash:         deployment.txHash,
+          salt:           predicted ? taskArgs['salt'] : null,
+          predicted:      predicted ? (isImplementation ? predicted.implementation : predicted.proxy) : null
+        }, isImplementation ? 'implementations' : 'contracts');
+        LocksmithRegistry.saveLayoutSnapshot(chainId, taskArgs['contract'], localCodeHash,
+          await getLocalStorageLayout(taskArgs['contract'], contract));
         console.log(greenText, "Address has been successfully saved in the registry!");
-        LocksmithRegistry.saveContractCodeHash(chainId, taskArgs['contract'], localCodeHash,
-          isImplementation ? 'implementations' : 'contracts');
         console.log(greenText, "The code hash been saved as well: " + localCodeHash); 
+        if (hasAddress) {
+          console.log("The previous address has been kept in the registry history: " + currentAddress);
+        }
       } catch (error) {
         console.log("oooops!: " + error);
         throw error;
@@ -390,117 +1532,1713 @@ task("deploy", "Deploy a specific contract generating a new address for it.")
     }
   });
 
-task("respect", "Make the current registry's key vault respect the current locksmith.")
+task("rollback", "Revert a proxy to an implementation previously recorded in the registry.")
+  .addParam('contract', 'The alias of the proxy you want to roll back.')
+  .addParam('target', 'The previous code hash, or implementation address, to roll back to.')
+  .addOptionalParam('dry', 'Flag to do the operation up until the point of actually upgrading, and stopping.', false, types.boolean)
   .setAction(async (taskArgs) => {
-    const owner = await patchOwner(); 
+    const owner = await patchOwner();
     const chainId = await owner.getChainId();
 
-    console.log(greenText, '\n==== GENIE, RESPECT! ====\n');
+    console.log(greenText, '\n==== GENIE, ROLLBACK! ====\n');
     console.log(JSON.stringify(taskArgs, null, 2));
     console.log(greenText, "\n=== SIGNER INFO ===\n");
     console.log(" Signer Network Chain ID: " + chainId);
     console.log(" Signer Wallet Address: " + owner.address);
-    
-    console.log(greenText, "\n=== CONTRACT INFO ===\n");
-    var keyVaultAddress = LocksmithRegistry.getContractAddress(chainId, 'KeyVault');
-    var locksmithAddress = LocksmithRegistry.getContractAddress(chainId, 'Locksmith');
-    console.log(keyVaultAddress ? greenText : redText, " KeyVault: " + keyVaultAddress); 
-    console.log(locksmithAddress ? greenText : redText, " Locksmith: " + locksmithAddress); 
 
-    if (keyVaultAddress === null || locksmithAddress === null) {
-      console.log(yellowText, "\n\nYou are missing dependencies for this action!");
+    if (!LocksmithRegistry.isInManifest(taskArgs['contract'])) {
+      console.log(redText, taskArgs['contract'] + " is not in the manifest, refusing to roll it back.");
+      return 1;
+    }
+    if (LocksmithRegistry.getImplementationList().includes(taskArgs['contract'])) {
+      console.log(yellowText, "It looks like this contract is a stateless implementaiton, which can't be rolled back.");
       return 1;
     }
 
-    console.log(greenText, "\n=== Calling setRespectedLocksmith... ===\n");
-    var keyVaultContract = await ethers.getContractFactory('KeyVault');
-    
-    var respectAddress = await keyVaultContract.attach(keyVaultAddress).locksmith(); 
-    console.log(" The current respect address is: " + respectAddress);
+    const proxyAddress = LocksmithRegistry.getContractAddress(chainId, taskArgs['contract']);
+    if (proxyAddress === null) {
+      console.log(yellowText, "Yikes! You can't roll back a contract that isn't in the registry.");
+      return 1;
+    }
 
-    if(respectAddress === locksmithAddress) {
-      console.log(yellowText, " The current locksmith is already respected!");
+    // find the target in the history, either by code hash or by implementation address
+    const target = taskArgs['target'].toLowerCase();
+    const history = LocksmithRegistry.getContractHistory(chainId, taskArgs['contract'])
+      .filter((h) => h.address === proxyAddress);
+    const entry = history.reverse().find((h) =>
+      (h.codeHash || '').toLowerCase() === target || (h.implementation || '').toLowerCase() === target);
+
+    var targetImplementation = entry ? entry.implementation : null;
+    if (!targetImplementation && ethers.utils.isAddress(taskArgs['target'])) {
+      targetImplementation = ethers.utils.getAddress(taskArgs['target']);
+    }
+
+    const currentImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+
+    console.log(greenText, "\n=== CONTRACT INFO ===\n");
+    console.log(" Proxy: " + proxyAddress);
+    console.log(" Current Implementation: " + currentImplementation);
+    console.log(" Current Code Hash: " + LocksmithRegistry.getContractCodeHash(chainId, taskArgs['contract']));
+    console.log(" Target Implementation: " + targetImplementation);
+    console.log(" Target Code Hash: " + (entry ? entry.codeHash : null));
+
+    if (targetImplementation === null) {
+      console.log(redText, "\nThe target isn't in the registry history, and isn't an address.");
+      console.log(yellowText, "Older entries may not have recorded their implementation, try the implementation address instead.");
+      return 1;
+    }
+    if (targetImplementation === currentImplementation) {
+      console.log(yellowText, "\nThe target is already the current implementation, so the rollback won't do anything.");
+      return 1;
+    }
+    if ((await ethers.provider.getCode(targetImplementation)) === '0x') {
+      console.log(redText, "\nThere is no code at the target implementation address!");
       return 1;
     }
 
+    // the plugin keeps the storage layout of every implementation it has deployed
+    // in the network manifest, so we can compare the two without the old source.
+    console.log(greenText, "\n=== Validating storage layout... ===\n");
     try {
-      var response = await keyVaultContract
-        .attach(keyVaultAddress)
-        .connect(owner)
-        .setRespectedLocksmith(locksmithAddress);
+      const manifest = await Manifest.forNetwork(network.provider);
+      const currentLayout = (await manifest.getDeploymentFromAddress(currentImplementation)).layout;
+      const targetLayout = (await manifest.getDeploymentFromAddress(targetImplementation)).layout;
+      const report = getStorageUpgradeReport(currentLayout, targetLayout, withValidationDefaults({}));
 
-      console.log("\nIt seems it was successful!");
-      console.log("New respect address is: " + await keyVaultContract.attach(keyVaultAddress).locksmith());
-    } catch (e) {
-      console.log("ERROR!");
-      console.log(e.message);
+      if (!report.ok) {
+        console.log(redText, "The target storage layout is incompatible with the current one:\n");
+        console.log(report.explain());
+        return 1;
+      }
+      console.log(greenText, "The target storage layout is compatible.");
+    } catch (err) {
+      console.log(redText, "Unable to validate the storage layout: " + err.message);
+      return 1;
+    }
+
+    // stop here if its a dry run
+    if (taskArgs['dry']) {
+      console.log(greenText, "\nThis was a dry run, so we won't actualy do this.");
+      return 0;
     }
+
+    console.log(greenText, "\n=== Calling upgradeTo... ===\n");
+    const contract = await ethers.getContractFactory(taskArgs['contract'], owner);
+    const response = await contract.attach(proxyAddress).connect(owner).upgradeTo(targetImplementation);
+    await response.wait();
+
+    LocksmithRegistry.saveContractDeployment(chainId, taskArgs['contract'], {
+      address:        proxyAddress,
+      implementation: targetImplementation,
+      codeHash:       entry ? entry.codeHash : null,
+      deployer:       owner.address,
+      txHash:         response.hash
+    });
+    LocksmithRegistry.saveLayoutSnapshot(chainId, taskArgs['contract'], entry ? entry.codeHash : null,
+      await getDeployedStorageLayout(targetImplementation));
+    console.log(greenText, "Rollback complete! The implementation is now " +
+      await upgrades.erc1967.getImplementationAddress(proxyAddress));
   });
 
-task("metrics", "Take a look at high level metrics for this deployment.")
+///////////////////////////////////////////
+// getWiringState
+//
+// Compares a wiring spec entry against the chain, producing
+// the expected and actual addresses along with a status:
+//
+// - wired:     the contract points at the expected alias
+// - fixable:   it doesn't, but there is a setter to fix it
+// - immutable: it doesn't, and only a redeploy can fix it
+// - missing:   either side isn't in the registry yet
+// - broken:    the getter couldn't be called
+///////////////////////////////////////////
+const getWiringState = async function(chainId, wire) {
+  const address = LocksmithRegistry.findContractAddress(chainId, wire.contract);
+  const expected = LocksmithRegistry.findContractAddress(chainId, wire.alias);
+  const state = { ...wire, address, expected, actual: null };
+
+  if (address === null || expected === null) {
+    return { ...state, status: 'missing' };
+  }
+
+  try {
+    const contract = await ethers.getContractFactory(wire.contract);
+    state.actual = await contract.attach(address)[wire.getter]();
+  } catch (err) {
+    return { ...state, status: 'broken', error: err.message };
+  }
+
+  if (state.actual.toLowerCase() === expected.toLowerCase()) {
+    return { ...state, status: 'wired' };
+  }
+  return { ...state, status: wire.setter ? 'fixable' : 'immutable' };
+}
+
+///////////////////////////////////////////
+// Wiring
+//
+// Only the pointers between contracts are wired. Scribes and
+// dispatchers (the Trustee, Allowance, AlarmClock, KeyOracle
+// and so on) are trusted per trust on the Notary, by that
+// trust's root key. The TrustCreator and RecoveryPolicyCreator
+// grant those roles while creating a trust or policy, so there
+// is nothing platform wide for wiring to set.
+///////////////////////////////////////////
+task("wire", "Configure every cross-contract pointer declared in the wiring spec. Scribe and dispatcher " +
+    "roles are granted per trust on the Notary by its root key, and aren't wired.")
+  .addOptionalParam('contract', 'Only wire the given alias.')
+  .addOptionalParam('dry', 'Flag to only print the differences, and stop.', false, types.boolean)
   .setAction(async (taskArgs) => {
     const owner = await patchOwner();
     const chainId = await owner.getChainId();
 
-    console.log(greenText, '\n==== GENIE, METRICS! ====\n');
+    console.log(greenText, '\n==== GENIE, WIRE! ====\n');
     console.log(JSON.stringify(taskArgs, null, 2));
     console.log(greenText, "\n=== SIGNER INFO ===\n");
     console.log(" Signer Network Chain ID: " + chainId);
     console.log(" Signer Wallet Address: " + owner.address);
 
-    console.log(greenText, "\n=== CONTRACT INFO ===\n");
-    var keyVaultAddress = LocksmithRegistry.getContractAddress(chainId, 'KeyVault');
-    var locksmithAddress = LocksmithRegistry.getContractAddress(chainId, 'Locksmith');
-    console.log(keyVaultAddress ? greenText : redText, " KeyVault: " + keyVaultAddress);
-    console.log(locksmithAddress ? greenText : redText, " Locksmith: " + locksmithAddress);
-    
-    console.log(greenText, "\n=== LOCKSMITH INFO ===\n");
-    var locksmithContract = await ethers.getContractFactory('Locksmith');
-    var trusts = await locksmithContract 
-        .attach(locksmithAddress)
-        .trustCount();
-    console.log(" Trust Count: " + trusts);
-    var keys = await locksmithContract 
-        .attach(locksmithAddress)
-        .keyCount();
-    console.log(" Key Count: " + keys);
-    
-    console.log(greenText, "\n=== VAULT INFO ===\n");
-    var etherVaultAddress = LocksmithRegistry.getContractAddress(chainId, 'EtherVault');
-    var tvl = await ethers.provider.getBalance(etherVaultAddress);
-    console.log(" Ether Vault TVL (eth): " + ethers.utils.formatEther(tvl));
-  });
-
+    if (taskArgs['contract'] && !LocksmithRegistry.isInManifest(taskArgs['contract'])) {
+      console.log(redText, taskArgs['contract'] + " is not in the manifest, there is nothing to wire.");
+      return 1;
+    }
+
+    console.log(greenText, "\n=== CURRENT WIRING ===\n");
+    var states = [];
+    for (const wire of LocksmithRegistry.getWiringSpec(taskArgs['contract'] || null)) {
+      const state = await getWiringState(chainId, wire);
+      const color = {
+        wired: greenText, fixable: yellowText, immutable: redText, missing: cyanText, broken: redText
+      }[state.status];
+      console.log(color, " [" + state.status + "] " + state.contract + "." + state.getter + "() => " +
+        state.alias + (state.status === 'wired' || state.status === 'missing' ? "" :
+          " (expected " + state.expected + ", found " + state.actual + ")"));
+      states.push(state);
+    }
+
+    const fixable = states.filter((s) => s.status === 'fixable');
+    const unfixable = states.filter((s) => s.status === 'immutable' || s.status === 'broken');
+
+    if (unfixable.length !== 0) {
+      console.log(redText, "\nSome wiring can't be fixed with a setter, those contracts need to be redeployed.");
+    }
+
+    if (fixable.length === 0) {
+      console.log(greenText, "\nThere is nothing to wire.");
+      return unfixable.length === 0 ? 0 : 1;
+    }
+
+    // stop here if its a dry run
+    if (taskArgs['dry']) {
+      console.log(greenText, "\nThis was a dry run, so we won't actualy do this.");
+      return 0;
+    }
+
+    console.log(greenText, "\n=== Wiring... ===\n");
+    for (const state of fixable) {
+      const contract = await ethers.getContractFactory(state.contract);
+      console.log(" Calling " + state.contract + "." + state.setter + "(" + state.expected + ")");
+      try {
+        const response = await contract.attach(state.address).connect(owner)[state.setter](state.expected);
+        await response.wait();
+        console.log(greenText, " - " + state.contract + "." + state.getter + "() is now " +
+          await contract.attach(state.address)[state.getter]());
+      } catch (e) {
+        console.log(redText, " - ERROR! " + e.message);
+        return 1;
+      }
+    }
+
+    return unfixable.length === 0 ? 0 : 1;
+  });
+
+///////////////////////////////////////////
+// getOnChainOwner
+//
+// Most of the contracts are OwnableUpgradeable and have an
+// #owner getter. Those that keep the owner private (like the
+// KeyVault) have it read out of storage using the layout the
+// upgrades plugin recorded for the implementation, or the
+// local build's layout if there isn't one.
+///////////////////////////////////////////
+const getOnChainOwner = async function(alias, address, implementation) {
+  const contract = await ethers.getContractFactory(alias);
+  if (Object.keys(contract.interface.functions).includes('owner()')) {
+    return await contract.attach(address).owner();
+  }
+
+  // on a fork, the plugin won't know about the implementation
+  var layout = null;
+  try {
+    layout = await getDeployedStorageLayout(implementation);
+  } catch (err) {
+    layout = await getLocalStorageLayout(alias, contract);
+  }
+  const item = layout.storage.find((i) => i.label === 'owner' && layout.types[i.type].label === 'address');
+  if (!item) {
+    throw new Error(alias + ' has no owner getter or owner storage');
+  }
+
+  const word = await ethers.provider.getStorageAt(address, BigNumber.from(item.slot).toHexString());
+  return ethers.utils.getAddress(ethers.utils.hexDataSlice(word, 32 - item.offset - 20, 32 - item.offset));
+}
+
+///////////////////////////////////////////
+// getCreationCodeHash
+//
+// Looks up the transaction that created the given address, and
+// hashes its input. For contracts without constructor arguments,
+// this is the same thing as the code hash genie saves into the
+// registry from the local build.
+///////////////////////////////////////////
+const getCreationCodeHash = async function(txHash) {
+  const tx = await ethers.provider.getTransaction(txHash);
+  return tx ? ethers.utils.keccak256(tx.data) : null;
+}
+
+///////////////////////////////////////////
+// auditContract
+//
+// Produces the full set of integrity checks for a registry
+// alias. Each check has a status of 'ok', 'drift', or 'unknown'
+// when there isn't enough information to tell either way.
+///////////////////////////////////////////
+const auditContract = async function(chainId, alias, admin) {
+  const isImplementation = LocksmithRegistry.getImplementationList().includes(alias);
+  const registryType = isImplementation ? 'implementations' : 'contracts';
+  const entry = LocksmithRegistry.getContractEntry(chainId, alias, registryType);
+  const result = { alias, address: entry.address || null, checks: {} };
+
+  if (!entry.address) {
+    result.status = 'missing';
+    return result;
+  }
+
+  const check = async function(name, expected, lookup) {
+    try {
+      const actual = await lookup();
+      result.checks[name] = {
+        status: (expected === null || actual === null) ? 'unknown' :
+          (expected.toLowerCase() === actual.toLowerCase() ? 'ok' : 'drift'),
+        expected, actual
+      };
+    } catch (err) {
+      result.checks[name] = { status: 'unknown', expected, actual: null, error: err.message };
+    }
+  };
+
+  // deterministic deployments prove their code hash through their address
+  const isDeterministic = function(address) {
+    return entry.salt && entry.codeHash && address === ethers.utils.getCreate2Address(
+      CREATE2_FACTORY, getCreate2Salt(entry.salt, alias), entry.codeHash);
+  };
+
+  if (isImplementation) {
+    await check('codeHash', entry.codeHash || null, async () => isDeterministic(entry.address) ?
+      entry.codeHash : (entry.txHash ? await getCreationCodeHash(entry.txHash) : null));
+  } else {
+    const implementation = await upgrades.erc1967.getImplementationAddress(entry.address);
+    await check('implementation', entry.implementation || null, async () => implementation);
+    await check('codeHash', entry.codeHash || null, async () => {
+      const manifest = await Manifest.forNetwork(network.provider);
+      const txHash = (await manifest.getDeploymentFromAddress(implementation)).txHash;
+      return txHash ? await getCreationCodeHash(txHash) :
+        (isDeterministic(implementation) ? entry.codeHash : null);
+    });
+    await check('owner', admin, async () => await getOnChainOwner(alias, entry.address, implementation));
+  }
+
+  // every declared dependency getter has to exist, and point at the registry
+  const contract = await ethers.getContractFactory(alias);
+  result.checks.dependencies = [];
+  for (const wire of LocksmithRegistry.getWiringSpec(alias)) {
+    const expected = LocksmithRegistry.findContractAddress(chainId, wire.alias);
+    var dependency = { alias: wire.alias, getter: wire.getter, expected, actual: null };
+    try {
+      contract.interface.getFunction(wire.getter);
+      dependency.actual = await contract.attach(entry.address)[wire.getter]();
+      dependency.status = expected === null ? 'unknown' :
+        (expected.toLowerCase() === dependency.actual.toLowerCase() ? 'ok' : 'drift');
+    } catch (err) {
+      dependency.status = 'drift';
+      dependency.error = err.message;
+    }
+    result.checks.dependencies.push(dependency);
+  }
+
+  const statuses = [Object.values(result.checks).flat().map((c) => c.status)].flat();
+  result.status = statuses.includes('drift') ? 'drift' : (statuses.includes('unknown') ? 'unknown' : 'ok');
+  return result;
+}
+
+task("audit", "Verify the on-chain state of every registered contract against the registry.")
+  .addOptionalParam('admin', 'The address expected to own every proxy, defaults to the signer.')
+  .addOptionalParam('report', 'A file path to write the JSON report to.')
+  .addOptionalParam('json', 'Flag to print the JSON report instead of the summary.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+    const admin = taskArgs['admin'] ? ethers.utils.getAddress(taskArgs['admin']) : owner.address;
+    const log = taskArgs['json'] ? () => {} : console.log;
+
+    log(greenText, '\n==== GENIE, AUDIT! ====\n');
+    log(JSON.stringify(taskArgs, null, 2));
+    log(greenText, "\n=== SIGNER INFO ===\n");
+    log(" Signer Network Chain ID: " + chainId);
+    log(" Signer Wallet Address: " + owner.address);
+    log(" Expected Admin: " + admin);
+
+    log(greenText, "\n=== AUDIT ===\n");
+    var results = [];
+    for(const alias of [LocksmithRegistry.getContractList(), LocksmithRegistry.getImplementationList()].flat(2)) {
+      const result = await auditContract(chainId, alias, admin);
+      results.push(result);
+
+      const color = { ok: greenText, unknown: yellowText, drift: redText, missing: cyanText }[result.status];
+      log(color, "[" + result.status + "] " + alias + ": " + result.address);
+      for (const [name, c] of Object.entries(result.checks)) {
+        [c].flat().filter((c) => c.status !== 'ok').forEach((c) => {
+          log("   - " + (c.getter ? name + "." + c.getter + "()" : name) + ": " + c.status +
+            " (expected " + c.expected + ", found " + c.actual + ")" + (c.error ? " " + c.error : ""));
+        });
+      }
+    }
+
+    const report = {
+      chainId: chainId,
+      admin: admin,
+      timestamp: new Date().toISOString(),
+      drift: results.some((r) => r.status === 'drift'),
+      contracts: results
+    };
+
+    if (taskArgs['report']) {
+      require('fs').writeFileSync(taskArgs['report'], JSON.stringify(report, null, 2));
+      log("\nReport written to " + taskArgs['report']);
+    }
+    if (taskArgs['json']) {
+      console.log(JSON.stringify(report, null, 2));
+    }
+
+    log(report.drift ? redText : greenText, "\nDrift detected: " + report.drift);
+    if (report.drift) {
+      process.exitCode = 1;
+    }
+    return report;
+  });
+
+///////////////////////////////////////////
+// getNetworkProviders
+//
+// Builds a provider for every network configured in
+// hardhat.config.js that has an RPC url, keyed by the
+// chain ID the RPC reports. Networks that can't be
+// reached are left out.
+///////////////////////////////////////////
+const getNetworkProviders = async function() {
+  var providers = {};
+  for (const [name, config] of Object.entries(hre.config.networks)) {
+    if (!config.url) {
+      continue;
+    }
+    try {
+      const provider = new ethers.providers.StaticJsonRpcProvider(config.url);
+      const { chainId } = await Promise.race([
+        provider.getNetwork(),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 10000))
+      ]);
+      providers[chainId] = { name, provider: LocksmithThrottle.wrap(provider, name, chainId) };
+    } catch (err) {
+      console.log(yellowText, " Unable to reach network " + name + ": " + err.message);
+    }
+  }
+  return providers;
+}
+
+task("matrix", "Compare the registries of every chain against each other and the local build.")
+  .addOptionalParam('verify', 'Flag to also check the registry addresses against each reachable chain.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const chainIds = LocksmithRegistry.getRegisteredChainIds();
+    const aliases = [LocksmithRegistry.getContractList(), LocksmithRegistry.getImplementationList()].flat(2);
+    const ERC1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+    console.log(greenText, '\n==== GENIE, MATRIX! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+
+    const providers = taskArgs['verify'] ? await getNetworkProviders() : {};
+    if (taskArgs['verify']) {
+      console.log(greenText, "\n=== NETWORKS ===\n");
+      chainIds.forEach((chainId) => console.log(" " + chainId + ": " +
+        (providers[chainId] ? providers[chainId].name : 'not configured, skipping verification')));
+    }
+
+    console.log(greenText, "\n=== MATRIX ===\n");
+    const cellWidth = 13;
+    console.log(''.padEnd(24) + chainIds.map((c) => ('' + c).padEnd(cellWidth)).join(''));
+
+    var outdated = 0;
+    var unverified = 0;
+    for (const alias of aliases) {
+      const contract = await ethers.getContractFactory(alias);
+      const localCodeHash = ethers.utils.keccak256(contract.bytecode);
+
+      var cells = [];
+      for (const chainId of chainIds) {
+        const entry = LocksmithRegistry.findContractEntry(chainId, alias);
+        if (!entry.address) {
+          cells.push(''.padEnd(cellWidth));
+          continue;
+        }
+
+        var marker = ' ';
+        if (providers[chainId]) {
+          const provider = providers[chainId].provider;
+          var verified = (await provider.getCode(entry.address)) !== '0x';
+          if (verified && entry.implementation) {
+            const slot = await provider.getStorageAt(entry.address, ERC1967_IMPLEMENTATION_SLOT);
+            verified = ethers.utils.hexDataSlice(slot, 12).toLowerCase() === entry.implementation.toLowerCase();
+          }
+          marker = verified ? '✓' : '✗';
+          unverified += verified ? 0 : 1;
+        }
+
+        const text = ((entry.codeHash || 'no hash').slice(0, 10) + marker).padEnd(cellWidth);
+        const isCurrent = entry.codeHash === localCodeHash;
+        outdated += isCurrent ? 0 : 1;
+        cells.push(marker === '✗' ? red(text) : (isCurrent ? green(text) : yellow(text)));
+      }
+      console.log(alias.padEnd(24) + cells.join(''));
+    }
+
+    console.log("\n Local build: " + green('current') + ", " + yellow('outdated') +
+      (taskArgs['verify'] ? ", " + red('failed on-chain verification') : ''));
+    console.log(" Outdated deployments: " + outdated);
+    if (taskArgs['verify']) {
+      console.log(" Failed verifications: " + unverified);
+    }
+  });
+
+task("respect", "Make the current registry's key vault respect the current locksmith.")
+  .addOptionalParam('propose', 'Propose the change to the given safe instead of sending it.')
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner(); 
+    const chainId = await owner.getChainId();
+
+    console.log(greenText, '\n==== GENIE, RESPECT! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+    
+    console.log(greenText, "\n=== CONTRACT INFO ===\n");
+    var keyVaultAddress = LocksmithRegistry.getContractAddress(chainId, 'KeyVault');
+    var locksmithAddress = LocksmithRegistry.getContractAddress(chainId, 'Locksmith');
+    console.log(keyVaultAddress ? greenText : redText, " KeyVault: " + keyVaultAddress); 
+    console.log(locksmithAddress ? greenText : redText, " Locksmith: " + locksmithAddress); 
+
+    if (keyVaultAddress === null || locksmithAddress === null) {
+      console.log(yellowText, "\n\nYou are missing dependencies for this action!");
+      return 1;
+    }
+
+    console.log(greenText, "\n=== Calling setRespectedLocksmith... ===\n");
+    var keyVaultContract = await ethers.getContractFactory('KeyVault');
+    
+    var respectAddress = await keyVaultContract.attach(keyVaultAddress).locksmith(); 
+    console.log(" The current respect address is: " + respectAddress);
+
+    if(respectAddress === locksmithAddress) {
+      console.log(yellowText, " The current locksmith is already respected!");
+      return 1;
+    }
+
+    if (taskArgs['propose']) {
+      if (!ethers.utils.isAddress(taskArgs['propose'])) {
+        console.log(redText, "The safe to propose to is not an address: " + taskArgs['propose']);
+        return 1;
+      }
+      await checkProposalOwner('KeyVault', keyVaultAddress, taskArgs['propose']);
+
+      const fileName = await proposeSafeBatch(chainId, taskArgs['propose'], 'Respect Locksmith', [{
+        description: 'KeyVault.setRespectedLocksmith(' + locksmithAddress + ')',
+        to: keyVaultAddress,
+        data: keyVaultContract.interface.encodeFunctionData('setRespectedLocksmith', [locksmithAddress]),
+        expect: {
+          type:      'respect',
+          alias:     'KeyVault',
+          address:   keyVaultAddress,
+          locksmith: locksmithAddress
+        }
+      }]);
+      console.log(greenText, "\nThe change has been proposed in: " + fileName);
+      console.log("Once the safe has executed it, run: genie ratify --batch " + fileName);
+      return 0;
+    }
+
+    try {
+      var response = await keyVaultContract
+        .attach(keyVaultAddress)
+        .connect(owner)
+        .setRespectedLocksmith(locksmithAddress);
+
+      console.log("\nIt seems it was successful!");
+      console.log("New respect address is: " + await keyVaultContract.attach(keyVaultAddress).locksmith());
+    } catch (e) {
+      console.log("ERROR!");
+      console.log(e.message);
+    }
+  });
+
+task("ratify", "Verify a proposed safe batch has been executed, and update the registry.")
+  .addParam('batch', 'The batch file produced by --propose.')
+  .addOptionalParam('tx', 'The hash of the safe transaction that executed the batch.')
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+    const { batch, record } = LocksmithRegistry.getProposal(taskArgs['batch']);
+    const safe = batch.meta.createdFromSafeAddress;
+
+    console.log(greenText, '\n==== GENIE, RATIFY! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    console.log(greenText, "\n=== BATCH INFO ===\n");
+    console.log(" Name: " + batch.meta.name);
+    console.log(" Safe: " + safe);
+    console.log(" Chain ID: " + batch.chainId);
+    console.log(" Created: " + new Date(batch.createdAt).toISOString());
+
+    if (batch.chainId !== chainId.toString()) {
+      console.log(redText, "\nThis batch is for chain " + batch.chainId + ", not " + chainId);
+      return 1;
+    }
+    if (record.ratified) {
+      console.log(yellowText, "\nThis batch was already ratified at " + record.ratified.timestamp);
+      return 0;
+    }
+
+    console.log(greenText, "\n=== EXPECTATIONS ===\n");
+    var unmet = 0;
+    for (const expect of record.expectations) {
+      const { expected, actual, met } = await checkExpectation(expect);
+      console.log((met ? green('[✓] ') : red('[ ] ')) + expect.alias + ' ' + expect.type + ': ' +
+        (met ? actual : 'expected ' + expected + ', found ' + actual));
+      unmet += met ? 0 : 1;
+    }
+
+    if (unmet !== 0) {
+      console.log(yellowText, "\nThe batch doesn't seem to have been executed yet, leaving the registry alone.");
+      return 1;
+    }
+
+    console.log(greenText, "\n=== Updating the registry... ===\n");
+    for (const expect of record.expectations.filter((e) => e.type === 'upgrade')) {
+      LocksmithRegistry.saveContractDeployment(chainId, expect.alias, {
+        address:        expect.address,
+        implementation: expect.implementation,
+        codeHash:       expect.codeHash,
+        deployer:       safe,
+        txHash:         taskArgs['tx'] || null
+      });
+      try {
+        LocksmithRegistry.saveLayoutSnapshot(chainId, expect.alias, expect.codeHash,
+          await getDeployedStorageLayout(expect.implementation));
+      } catch (err) {
+        console.log(yellowText, " Unable to snapshot the storage layout of " + expect.alias + ": " + err.message);
+      }
+      console.log(" " + expect.alias + " has been upgraded to " + expect.implementation);
+    }
+
+    record.ratified = {
+      timestamp: new Date().toISOString(),
+      txHash:    taskArgs['tx'] || null
+    };
+    LocksmithRegistry.saveProposal(batch, record);
+    console.log(greenText, "\nThe batch has been ratified!");
+    return 0;
+  });
+
+task("owners", "List the owner of every registered proxy, and optionally hand them to a new admin.")
+  .addOptionalParam('transfer', 'The new admin to transfer ownership to.')
+  .addOptionalParam('contract', 'A comma separated list of aliases to transfer, instead of all of them.')
+  .addOptionalParam('confirm', 'The confirmation code from a previous run, to go through with the transfer.')
+  .addOptionalParam('requireContract', 'Refuse to transfer to an address without code.', false, types.boolean)
+  .addOptionalParam('propose', 'Propose the transfer to the given safe, instead of sending it.')
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+    const actor = taskArgs['propose'] || owner.address;
+
+    console.log(greenText, '\n==== GENIE, OWNERS! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    for (const address of [taskArgs['transfer'], taskArgs['propose']].filter((a) => a)) {
+      if (!ethers.utils.isAddress(address)) {
+        console.log(redText, "\nThis is not an address: " + address);
+        return 1;
+      }
+    }
+
+    const selected = taskArgs['contract'] ? taskArgs['contract'].split(',').map((c) => c.trim()) :
+      LocksmithRegistry.getContractList();
+    // implementations are owned through their proxies, if at all,
+    // so only the contracts registry is looked at
+    for (const alias of selected) {
+      if (LocksmithRegistry.getContractAddress(chainId, alias) === null) {
+        console.log(redText, "\n" + alias + " isn't a registered proxy on this chain.");
+        return 1;
+      }
+    }
+
+    console.log(greenText, "\n=== OWNERS ===\n");
+    var owners = {};
+    for (const alias of LocksmithRegistry.getContractList()) {
+      const address = LocksmithRegistry.getContractAddress(chainId, alias);
+      if (address === null) {
+        continue;
+      }
+
+      const contract = await ethers.getContractFactory(alias);
+      try {
+        owners[alias] = {
+          address:      address,
+          owner:        await getOnChainOwner(alias, address, await upgrades.erc1967.getImplementationAddress(address)),
+          transferable: Object.keys(contract.interface.functions).includes('transferOwnership(address)')
+        };
+      } catch (err) {
+        console.log(redText, " " + alias + ": " + err.message);
+        continue;
+      }
+
+      const mine = owners[alias].owner.toLowerCase() === actor.toLowerCase();
+      console.log(" " + alias + ": " + (mine ? green(owners[alias].owner) : yellow(owners[alias].owner)) +
+        (owners[alias].transferable ? "" : " (not transferable)"));
+    }
+
+    if (!taskArgs['transfer']) {
+      return 0;
+    }
+
+    console.log(greenText, "\n=== TRANSFER ===\n");
+    console.log(" New Admin: " + taskArgs['transfer']);
+    if ((await ethers.provider.getCode(taskArgs['transfer'])) === '0x') {
+      if (taskArgs['requireContract']) {
+        console.log(redText, "\nThe new admin has no code, and --require-contract was given. Refusing to transfer.");
+        return 1;
+      }
+      console.log(yellowText, " WARNING: The new admin has no code, make sure it isn't a typo.");
+    }
+
+    // a partial hand-off is worse than none, so only go ahead
+    // if everything selected is ours to give away
+    var plan = [];
+    for (const alias of selected) {
+      const entry = owners[alias];
+      if (!entry) {
+        console.log(redText, " " + alias + ": the owner couldn't be determined.");
+        return 1;
+      } else if (entry.owner.toLowerCase() === taskArgs['transfer'].toLowerCase()) {
+        console.log(" " + alias + ": already owned by the new admin.");
+      } else if (!entry.transferable) {
+        console.log(yellowText, " " + alias + ": has no #transferOwnership, skipping.");
+      } else if (entry.owner.toLowerCase() !== actor.toLowerCase()) {
+        console.log(redText, " " + alias + ": is owned by " + entry.owner + ", not " + actor + ". Refusing to transfer.");
+        return 1;
+      } else {
+        console.log(" " + alias + ": " + entry.owner + " -> " + taskArgs['transfer']);
+        plan.push({ alias, ...entry });
+      }
+    }
+
+    if (plan.length === 0) {
+      console.log(greenText, "\nThere is nothing to transfer.");
+      return 0;
+    }
+
+    // the confirmation code is bound to the plan, so if anything
+    // changes between the two runs, the code will no longer work
+    const code = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify({
+      chainId:  chainId,
+      transfer: taskArgs['transfer'].toLowerCase(),
+      plan:     plan.map((p) => [p.alias, p.address, p.owner])
+    }))).slice(0, 10);
+
+    if (taskArgs['confirm'] !== code) {
+      if (taskArgs['confirm']) {
+        console.log(redText, "\nThe confirmation code doesn't match, the plan may have changed.");
+      }
+      console.log(yellowText, "\nOwnership transfers can't be undone by the signer.");
+      console.log(yellowText, "To go through with it, run this again with --confirm " + code);
+      return taskArgs['confirm'] ? 1 : 0;
+    }
+
+    if (taskArgs['propose']) {
+      const transactions = [];
+      for (const step of plan) {
+        const contract = await ethers.getContractFactory(step.alias);
+        transactions.push({
+          description: step.alias + '.transferOwnership(' + taskArgs['transfer'] + ')',
+          to: step.address,
+          data: contract.interface.encodeFunctionData('transferOwnership', [taskArgs['transfer']]),
+          expect: {
+            type:    'owner',
+            alias:   step.alias,
+            address: step.address,
+            owner:   taskArgs['transfer']
+          }
+        });
+      }
+      const fileName = await proposeSafeBatch(chainId, taskArgs['propose'], 'Transfer Ownership', transactions);
+      console.log(greenText, "\nThe transfers have been proposed in: " + fileName);
+      console.log("Once the safe has executed it, run: genie ratify --batch " + fileName);
+      return 0;
+    }
+
+    for (const step of plan) {
+      const contract = await ethers.getContractFactory(step.alias, owner);
+      console.log("\n Calling " + step.alias + ".transferOwnership(" + taskArgs['transfer'] + ")");
+      await (await contract.attach(step.address).transferOwnership(taskArgs['transfer'])).wait();
+      console.log(greenText, " - " + step.alias + ".owner() is now " + await contract.attach(step.address).owner());
+    }
+    return 0;
+  });
+
+task("genie-verify", "Verify every registered contract on the network's explorer, and record the status. " +
+  "Named genie-verify, since hardhat-etherscan's verify task, which it runs for each contract, has the name.")
+  .addOptionalParam('aliases', 'Verify every registered alias, or just this comma separated list.')
+  .addOptionalParam('recheck', 'Submit contracts that are already recorded as verified.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+
+    console.log(greenText, '\n==== GENIE, VERIFY! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    const aliases = taskArgs['aliases'] ? taskArgs['aliases'].split(',').map((a) => a.trim()) :
+      [LocksmithRegistry.getContractList(), LocksmithRegistry.getImplementationList()].flat(2);
+    var failures = 0;
+
+    console.log(greenText, "\n=== VERIFYING ===\n");
+    for (const alias of aliases) {
+      const isImplementation = LocksmithRegistry.getImplementationList().includes(alias);
+      const registryType = isImplementation ? 'implementations' : 'contracts';
+      const entry = LocksmithRegistry.findContractEntry(chainId, alias);
+      if (!LocksmithRegistry.isInManifest(alias) || !entry.address) {
+        console.log(yellowText, " " + alias + ": not registered, skipping.");
+        continue;
+      }
+
+      for (const target of await getVerificationTargets(chainId, alias, isImplementation)) {
+        const recorded = (entry.verification || {})[target.kind];
+        if (!taskArgs['recheck'] && recorded && recorded.address === target.address &&
+            recorded.status === 'verified') {
+          console.log(" " + alias + " " + target.kind + ": " + green("already verified"));
+          continue;
+        }
+
+        const result = await submitVerification(target);
+        LocksmithRegistry.saveContractVerification(chainId, alias, target.kind,
+          { address: target.address, ...result }, registryType);
+        console.log(" " + alias + " " + target.kind + ": " + (result.status === 'verified' ?
+          green(result.status) : red(result.status + ' (' + result.reason + ')')));
+        failures += result.status === 'verified' ? 0 : 1;
+      }
+    }
+
+    if (failures !== 0) {
+      console.log(redText, "\n" + failures + " contract(s) failed to verify.");
+      return 1;
+    }
+    console.log(greenText, "\nEverything has been verified!");
+    return 0;
+  });
+
+///////////////////////////////////////////
+// attachRegistered
+//
+// Attaches the contract for the alias at its registered
+// address, or produces null if the chain doesn't have one.
+///////////////////////////////////////////
+const attachRegistered = async function(chainId, alias) {
+  const address = LocksmithRegistry.getContractAddress(chainId, alias);
+  return address ? (await ethers.getContractFactory(alias)).attach(address) : null;
+}
+
+///////////////////////////////////////////
+// collectIds
+//
+// Calls the lookup for every ID from zero up to the count,
+// a batch at a time, and produces the results in order.
+///////////////////////////////////////////
+const METRICS_BATCH = 25;
+const collectIds = async function(count, lookup) {
+  var results = [];
+  for (var start = 0; start < count; start += METRICS_BATCH) {
+    const ids = [...Array(Math.min(METRICS_BATCH, count - start)).keys()].map((i) => start + i);
+    results.push(...(await Promise.all(ids.map(lookup))));
+  }
+  return results;
+}
+
+///////////////////////////////////////////
+// collectMetrics
+//
+// Reads the usage of every part of the platform on the
+// chain. A section is null if the contracts it needs
+// aren't registered.
+///////////////////////////////////////////
+const LEDGER_CONTEXT_ID = 0;
+const collectMetrics = async function(chainId) {
+  const block = await ethers.provider.getBlock('latest');
+  var metrics = {
+    chainId: chainId,
+    block: block.number,
+    timestamp: new Date(block.timestamp * 1000).toISOString(),
+    locksmith: null,
+    tvl: null,
+    inboxes: null,
+    recovery: null,
+    alarms: null,
+    allowances: null,
+    trustee: null
+  };
+
+  const locksmith = await attachRegistered(chainId, 'Locksmith');
+  if (!locksmith) {
+    return metrics;
+  }
+  const trusts = (await locksmith.trustCount()).toNumber();
+  const keys = (await locksmith.keyCount()).toNumber();
+  metrics.locksmith = { trusts: trusts, keys: keys };
+
+  const ledger = await attachRegistered(chainId, 'Ledger');
+  if (ledger) {
+    const assets = LocksmithRegistry.getAssetLookup(chainId, ethers.provider);
+    metrics.tvl = {};
+    for (const alias of ['EtherVault', 'TokenVault']) {
+      const vault = await attachRegistered(chainId, alias);
+      if (!vault) {
+        continue;
+      }
+      const arns = await ledger.getContextArnRegistry(LEDGER_CONTEXT_ID, 0, vault.address);
+      const balances = arns.length === 0 ? [] :
+        await ledger.getContextArnBalances(LEDGER_CONTEXT_ID, 0, vault.address, arns);
+      metrics.tvl[alias] = {};
+      for (var i = 0; i < arns.length; i++) {
+        const asset = await assets.discover(arns[i]);
+        metrics.tvl[alias][asset ? asset.name : LocksmithArn.shorten(arns[i])] =
+          ethers.utils.formatUnits(balances[i], asset ? asset.decimals : 0);
+      }
+    }
+  }
+
+  const postOffice = await attachRegistered(chainId, 'PostOffice');
+  if (postOffice) {
+    const inboxes = await collectIds(keys, (k) => postOffice.getInboxesForKey(k));
+    metrics.inboxes = { registered: inboxes.flat().length };
+  }
+
+  const recoveryCenter = await attachRegistered(chainId, 'TrustRecoveryCenter');
+  if (recoveryCenter) {
+    const policies = await collectIds(keys, (k) => recoveryCenter.getRecoveryPolicy(k));
+    metrics.recovery = { policies: policies.filter(([valid]) => valid).length };
+  }
+
+  const alarmClock = await attachRegistered(chainId, 'AlarmClock');
+  const trustEventLog = await attachRegistered(chainId, 'TrustEventLog');
+  if (alarmClock && trustEventLog) {
+    const events = (await collectIds(trusts, (t) =>
+      trustEventLog.getRegisteredTrustEvents(t, alarmClock.address))).flat();
+    const fired = await Promise.all(events.map((e) => trustEventLog.firedEvents(e)));
+    metrics.alarms = {
+      pending: fired.filter((f) => !f).length,
+      fired: fired.filter((f) => f).length
+    };
+  }
+
+  const allowance = await attachRegistered(chainId, 'Allowance');
+  if (allowance) {
+    const allowanceIds = (await collectIds(keys, async (k) =>
+      (await allowance.getKeyAllowances([k]))[0].allowanceIds)).flat();
+    const allowances = await Promise.all(allowanceIds.map((id) => allowance.getAllowance(id)));
+    metrics.allowances = {
+      outstanding: allowances.filter(([a]) => a.remainingTrancheCount.gt(0)).length,
+      exhausted: allowances.filter(([a]) => a.remainingTrancheCount.eq(0)).length
+    };
+  }
+
+  const trustee = await attachRegistered(chainId, 'Trustee');
+  if (trustee) {
+    const policyKeys = await collectIds(trusts, (t) => trustee.getTrustPolicyKeys(t));
+    metrics.trustee = { policies: policyKeys.flat().length };
+  }
+
+  return metrics;
+}
+
+///////////////////////////////////////////
+// flattenMetrics
+//
+// Produces every measurement in a metrics section as a
+// row name and value, for printing and diffing.
+///////////////////////////////////////////
+const flattenMetrics = function(section, prefix = '') {
+  var rows = {};
+  for (const [name, value] of Object.entries(section || {})) {
+    if (value !== null && typeof value === 'object') {
+      Object.assign(rows, flattenMetrics(value, prefix + name + ' '));
+    } else {
+      rows[prefix + name] = '' + value;
+    }
+  }
+  return rows;
+}
+
+///////////////////////////////////////////
+// diffMetric
+//
+// Produces the change in a measurement since a snapshot,
+// or null if it hasn't changed. Token balances are
+// compared as fixed point so they don't lose precision.
+///////////////////////////////////////////
+const diffMetric = function(current, previous) {
+  if (current === previous) {
+    return null;
+  }
+  if (current === undefined || previous === undefined) {
+    return current === undefined ? 'gone' : 'new';
+  }
+  const delta = ethers.FixedNumber.from(current).subUnsafe(ethers.FixedNumber.from(previous));
+  const text = delta.toString().replace(/\.0$/, '');
+  return delta.isNegative() ? text : '+' + text;
+}
+
+const METRICS_SECTIONS = {
+  locksmith:  'LOCKSMITH INFO',
+  tvl:        'VAULT INFO',
+  inboxes:    'POST OFFICE INFO',
+  recovery:   'RECOVERY INFO',
+  alarms:     'ALARM INFO',
+  allowances: 'ALLOWANCE INFO',
+  trustee:    'TRUSTEE INFO'
+};
+
+task("metrics", "Take a look at high level metrics for this deployment.")
+  .addOptionalParam('json', 'Flag to print the metrics as JSON instead of a table.', false, types.boolean)
+  .addOptionalParam('snapshot', 'A file path to write the metrics to.')
+  .addOptionalParam('diff', 'A file path of a previous snapshot to compare against.')
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+    const log = taskArgs['json'] ? () => {} : console.log;
+    const fs = require('fs');
+
+    log(greenText, '\n==== GENIE, METRICS! ====\n');
+    log(JSON.stringify(taskArgs, null, 2));
+    log(greenText, "\n=== SIGNER INFO ===\n");
+    log(" Signer Network Chain ID: " + chainId);
+    log(" Signer Wallet Address: " + owner.address);
+
+    // read the snapshot first, it might be about to be overwritten
+    const previous = taskArgs['diff'] ? JSON.parse(fs.readFileSync(taskArgs['diff'])) : null;
+    if (previous && previous.chainId !== chainId) {
+      console.log(redText, "\nThe snapshot is for chain " + previous.chainId + ", not " + chainId);
+      return 1;
+    }
+
+    log(greenText, "\n=== CONTRACT INFO ===\n");
+    for (const alias of ['Locksmith', 'KeyVault', 'Ledger', 'EtherVault', 'TokenVault', 'PostOffice',
+      'TrustRecoveryCenter', 'TrustEventLog', 'AlarmClock', 'Allowance', 'Trustee']) {
+      const address = LocksmithRegistry.getContractAddress(chainId, alias);
+      log(address ? greenText : redText, " " + alias + ": " + address);
+    }
+
+    const metrics = await collectMetrics(chainId);
+    var changes = {};
+
+    for (const [section, title] of Object.entries(METRICS_SECTIONS)) {
+      log(greenText, "\n=== " + title + " ===\n");
+      if (metrics[section] === null) {
+        log(yellowText, " The contracts for this aren't registered on this chain.");
+        continue;
+      }
+
+      const rows = flattenMetrics(metrics[section]);
+      const before = previous ? flattenMetrics(previous[section]) : {};
+      const names = [...new Set([...Object.keys(rows), ...Object.keys(before)])];
+      if (names.length === 0) {
+        log(" Nothing yet.");
+      }
+      for (const name of names) {
+        const change = previous ? diffMetric(rows[name], before[name]) : null;
+        if (change !== null) {
+          changes[section + ' ' + name] = change;
+        }
+        const label = name.charAt(0).toUpperCase() + name.slice(1);
+        const text = " " + label.padEnd(32) + (rows[name] || '-').padStart(24);
+        log(change === null ? text : text + "  " + (change.startsWith('-') || change === 'gone' ?
+          red(change) : green(change)));
+      }
+    }
+
+    if (previous) {
+      log("\n Compared against block " + previous.block + " (" + previous.timestamp + ")");
+    }
+    if (taskArgs['snapshot']) {
+      fs.writeFileSync(taskArgs['snapshot'], JSON.stringify(metrics, null, 2));
+      log("\nSnapshot written to " + taskArgs['snapshot']);
+    }
+    if (taskArgs['json']) {
+      console.log(JSON.stringify(previous ? {...metrics,
+        since: { block: previous.block, timestamp: previous.timestamp }, changes: changes } : metrics, null, 2));
+    }
+    return metrics;
+  });
+
+///////////////////////////////////////////
+// describeRecord
+//
+// Produces a one line summary of the arguments of an
+// indexed event, with names decoded and ARNs resolved.
+///////////////////////////////////////////
+const RECORD_NAME_FIELDS = ['trustName', 'keyName', 'description', 'eventDescription'];
+const describeRecord = function(record, assets) {
+  return Object.entries(record.args).map(([field, value]) => {
+    if (field === 'arn') {
+      value = assets.format(value);
+    } else if (RECORD_NAME_FIELDS.includes(field)) {
+      try {
+        value = ethers.utils.parseBytes32String(value);
+      } catch (err) {}
+    } else if (typeof value === 'object') {
+      value = JSON.stringify(value);
+    }
+    return field + '=' + value;
+  }).join(' ');
+}
+
+task("index", "Index the events of every registered contract into a local file.")
+  .addOptionalParam('from', 'The block to start a new index from.', 0, types.int)
+  .addOptionalParam('to', 'The block to index up to, instead of the latest.', undefined, types.int)
+  .addOptionalParam('reset', 'Flag to throw away the index and start again.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+
+    console.log(greenText, '\n==== GENIE, INDEX! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    var index = null;
+    try {
+      index = LocksmithIndexer.open(chainId, taskArgs['from'], taskArgs['reset']);
+    } catch (err) {
+      console.log(redText, "\n" + err.message + " Use --reset true.");
+      return 1;
+    }
+
+    console.log(greenText, "\n=== INDEXING ===\n");
+    console.log(" Index File: " + LocksmithIndexer.getIndexFileName(chainId));
+    console.log(" Indexed Through Block: " + index.getBlock());
+    const result = await index.sync(ethers.provider, taskArgs['to'] !== undefined ? taskArgs['to'] : null,
+      (range) => console.log(" Blocks " + range.from + " to " + range.to + ": " + range.records + " events"));
+
+    if (result.dropped !== 0) {
+      console.log(yellowText, "\nA reorg dropped " + result.dropped + " events, they were indexed again.");
+    }
+    console.log(greenText, "\nSuccessful! " + result.added + " events indexed through block " + index.getBlock());
+    return result;
+  });
+
+task("history", "Show every indexed event for a trust.")
+  .addParam('trust', 'The trust ID.', undefined, types.int)
+  .addOptionalParam('sync', 'Flag to bring the index up to date first.', true, types.boolean)
+  .addOptionalParam('json', 'Flag to print the events as JSON instead of a table.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+    const log = taskArgs['json'] ? () => {} : console.log;
+
+    log(greenText, '\n==== GENIE, HISTORY! ====\n');
+    log(JSON.stringify(taskArgs, null, 2));
+    log(greenText, "\n=== SIGNER INFO ===\n");
+    log(" Signer Network Chain ID: " + chainId);
+    log(" Signer Wallet Address: " + owner.address);
+
+    var index = null;
+    try {
+      index = LocksmithIndexer.open(chainId);
+      if (taskArgs['sync']) {
+        await index.sync(ethers.provider);
+      }
+    } catch (err) {
+      console.log(redText, "\n" + err.message + " Run genie index --reset true.");
+      return 1;
+    }
+
+    const records = index.activity(taskArgs['trust']);
+    if (taskArgs['json']) {
+      console.log(JSON.stringify(records, null, 2));
+      return records;
+    }
+
+    const assets = LocksmithRegistry.getAssetLookup(chainId, ethers.provider);
+    for (const record of records) {
+      await assets.discover(record.args.arn || LocksmithArn.ETH);
+    }
+
+    log(greenText, "\n=== TRUST " + taskArgs['trust'] + " ===\n");
+    if (records.length === 0) {
+      log(" Nothing indexed for this trust through block " + index.getBlock() + ".");
+    }
+    for (const record of records) {
+      log(' ' + ('' + record.block).padEnd(8) + new Date(record.timestamp * 1000).toISOString().padEnd(26) +
+        blue(record.contract + '.' + record.event));
+      log('   ' + describeRecord(record, assets));
+    }
+    return records;
+  });
+
+task("statement", "Export a trust's statement over a block or time range to CSV and JSON.")
+  .addParam('trust', 'The trust ID.', undefined, types.int)
+  .addOptionalParam('fromBlock', 'The first block of the statement.', undefined, types.int)
+  .addOptionalParam('toBlock', 'The last block of the statement, instead of the latest.', undefined, types.int)
+  .addOptionalParam('since', 'The first day or time of the statement, like 2024-01-01.')
+  .addOptionalParam('until', 'The end of the statement, like 2025-01-01, exclusive.')
+  .addOptionalParam('out', 'The path to write the .csv and .json to, without the extension.')
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+    const fs = require('fs');
+    const path = require('path');
+
+    console.log(greenText, '\n==== GENIE, STATEMENT! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    if ((taskArgs['fromBlock'] !== undefined && taskArgs['since']) ||
+      (taskArgs['toBlock'] !== undefined && taskArgs['until'])) {
+      console.log(yellowText, "\nGive the range as either blocks or times, not both.");
+      return 1;
+    }
+    const parseTime = (s) => Math.floor(new Date(s).getTime() / 1000);
+    for (const field of ['since', 'until']) {
+      if (taskArgs[field] && isNaN(parseTime(taskArgs[field]))) {
+        console.log(redText, "\nNot a date or time: " + taskArgs[field]);
+        return 1;
+      }
+    }
+
+    var index = null;
+    try {
+      index = LocksmithIndexer.open(chainId);
+      await index.sync(ethers.provider);
+    } catch (err) {
+      console.log(redText, "\n" + err.message + " Run genie index --reset true.");
+      return 1;
+    }
+
+    const fromBlock = taskArgs['since'] ? await LocksmithStatement.findBlock(ethers.provider, parseTime(taskArgs['since'])) :
+      taskArgs['fromBlock'] !== undefined ? taskArgs['fromBlock'] : index.getStartBlock();
+    const toBlock = taskArgs['until'] ? await LocksmithStatement.findBlock(ethers.provider, parseTime(taskArgs['until'])) - 1 :
+      taskArgs['toBlock'] !== undefined ? taskArgs['toBlock'] : index.getBlock();
+    if (fromBlock > toBlock) {
+      console.log(yellowText, "\nThere are no blocks between " + fromBlock + " and " + toBlock + ".");
+      return 1;
+    }
+
+    var statement = null;
+    try {
+      statement = await LocksmithStatement.build({ chainId: chainId, provider: ethers.provider, index: index },
+        taskArgs['trust'], fromBlock, toBlock);
+    } catch (err) {
+      console.log(redText, "\n" + (err.reason || err.message));
+      return 1;
+    }
+
+    console.log(greenText, "\n=== " + statement.trust.toUpperCase() + ", BLOCKS " + fromBlock + " TO " + toBlock + " ===");
+    var unreconciled = 0;
+    for (const key of statement.keys) {
+      console.log("\n Key " + key.keyId + ": " + key.key);
+      if (key.accounts.length === 0) {
+        console.log("   Nothing held.");
+      }
+      for (const account of key.accounts) {
+        const provider = ['EtherVault', 'TokenVault'].find((alias) =>
+          (LocksmithRegistry.getContractAddress(chainId, alias) || '').toLowerCase() === account.provider.toLowerCase()) ||
+          account.provider;
+        console.log((account.reconciled ? greenText : redText), "   [" + (account.reconciled ? '✓' : '✗') + "] " +
+          (account.asset + ' at ' + provider).padEnd(32) + account.opening.padStart(24) + ' -> ' +
+          account.closing.padStart(24) + '  (' + account.entries.length + ' movements)');
+        unreconciled += account.reconciled ? 0 : 1;
+      }
+    }
+
+    const out = taskArgs['out'] || 'statements/' + chainId + '-trust-' + statement.trustId + '-' + fromBlock + '-' + toBlock;
+    fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+    fs.writeFileSync(out + '.json', JSON.stringify(statement, null, 2));
+    fs.writeFileSync(out + '.csv', LocksmithStatement.toCsv(statement));
+    console.log("\n Written to " + out + ".csv and " + out + ".json");
+
+    if (unreconciled !== 0) {
+      console.log(redText, "\n" + unreconciled + " accounts don't reconcile against the ledger.");
+      process.exitCode = 1;
+    }
+    return statement;
+  });
+
+///////////////////////////////////////////
+// collectCustody
+//
+// Compares what the ledger says each vault holds against
+// what the vault actually has, for every ARN. Tokens are
+// found through the ledger's ARNs for the token vault,
+// and the token types witnessed by every trust, so a
+// token the ledger has forgotten still shows up.
+///////////////////////////////////////////
+const ERC20_BALANCE_ABI = ['function balanceOf(address) view returns (uint256)'];
+const collectCustody = async function(chainId, locksmith, ledger) {
+  var custody = {};
+
+  const etherVault = await attachRegistered(chainId, 'EtherVault');
+  if (etherVault) {
+    const [balance] = await ledger.getContextArnBalances(LEDGER_CONTEXT_ID, 0, etherVault.address, [LocksmithArn.ETH]);
+    custody['EtherVault'] = [{
+      arn:     LocksmithArn.ETH,
+      ledger:  balance,
+      custody: await ethers.provider.getBalance(etherVault.address)
+    }];
+  }
+
+  const tokenVault = await attachRegistered(chainId, 'TokenVault');
+  if (tokenVault) {
+    var tokens = {};
+    for (const arn of await ledger.getContextArnRegistry(LEDGER_CONTEXT_ID, 0, tokenVault.address)) {
+      tokens[arn] = await tokenVault.arnContracts(arn);
+    }
+    const client = await LocksmithClient.connect(ethers.provider);
+    const trusts = await collectIds((await locksmith.trustCount()).toNumber(), (t) => client.trust(t).info());
+    const witnessed = await Promise.all(trusts.map((trust) => tokenVault.getTokenTypes(trust.rootKeyId)));
+    for (const address of witnessed.flat()) {
+      tokens[LocksmithArn.encode(address, LocksmithArn.STANDARDS.erc20)] = address;
+    }
+
+    const arns = Object.keys(tokens);
+    const balances = arns.length === 0 ? [] :
+      await ledger.getContextArnBalances(LEDGER_CONTEXT_ID, 0, tokenVault.address, arns);
+    custody['TokenVault'] = await Promise.all(arns.map(async (arn, i) => ({
+      arn:     arn,
+      ledger:  balances[i],
+      custody: tokens[arn] === ethers.constants.AddressZero ? BigNumber.from(0) :
+        await new ethers.Contract(tokens[arn], ERC20_BALANCE_ABI, ethers.provider).balanceOf(tokenVault.address)
+    })));
+  }
+  return custody;
+}
+
+///////////////////////////////////////////
+// getReconciliation
+//
+// Compares what the ledger says a vault holds of an
+// asset against what it has in custody. A vault holding
+// more than the ledger knows about has a surplus, and
+// one holding less has a deficit.
+///////////////////////////////////////////
+const getReconciliation = function(ledger, custody, decimals = 0) {
+  const difference = BigNumber.from(custody).sub(ledger);
+  return {
+    ledger:     ethers.utils.formatUnits(ledger, decimals),
+    custody:    ethers.utils.formatUnits(custody, decimals),
+    difference: ethers.utils.formatUnits(difference, decimals),
+    status:     difference.isZero() ? 'balanced' : difference.gt(0) ? 'surplus' : 'deficit'
+  };
+}
+
+task("reconcile", "Check that the vaults hold everything the ledger says they do.")
+  .addOptionalParam('json', 'Flag to print the results as JSON instead of a table.', false, types.boolean)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+    const log = taskArgs['json'] ? () => {} : console.log;
+
+    log(greenText, '\n==== GENIE, RECONCILE! ====\n');
+    log(greenText, "\n=== SIGNER INFO ===\n");
+    log(" Signer Network Chain ID: " + chainId);
+    log(" Signer Wallet Address: " + owner.address);
+
+    const locksmith = await attachRegistered(chainId, 'Locksmith');
+    const ledger = await attachRegistered(chainId, 'Ledger');
+    if (!locksmith || !ledger) {
+      console.log(redText, "\nThe Locksmith and Ledger need to be registered on this chain.");
+      return 1;
+    }
+
+    const custody = await collectCustody(chainId, locksmith, ledger);
+    const assets = LocksmithRegistry.getAssetLookup(chainId, ethers.provider);
+    var results = [];
+    for (const [provider, rows] of Object.entries(custody)) {
+      for (const row of rows) {
+        const asset = await assets.discover(row.arn);
+        results.push({
+          provider: provider,
+          arn:      row.arn,
+          asset:    assets.format(row.arn),
+          ...getReconciliation(row.ledger, row.custody, asset ? asset.decimals : 0)
+        });
+      }
+    }
+
+    for (const provider of Object.keys(custody)) {
+      log(greenText, "\n=== " + provider.toUpperCase() + " ===\n");
+      const rows = results.filter((r) => r.provider === provider);
+      if (rows.length === 0) {
+        log(" Nothing held.");
+        continue;
+      }
+      log(' ' + 'Asset'.padEnd(16) + 'Ledger'.padStart(24) + 'Custody'.padStart(24) + 'Difference'.padStart(24));
+      for (const r of rows) {
+        const text = ' ' + r.asset.padEnd(16) + r.ledger.padStart(24) + r.custody.padStart(24) +
+          r.difference.padStart(24) + '  ';
+        log(text + (r.status === 'balanced' ? green(r.status) : r.status === 'surplus' ? yellow(r.status) : red(r.status)));
+      }
+    }
+
+    const deficits = results.filter((r) => r.status === 'deficit').length;
+    if (taskArgs['json']) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      log(deficits === 0 ? greenText : redText, "\nDeficits: " + deficits);
+    }
+    if (deficits !== 0) {
+      process.exitCode = 1;
+    }
+    return results;
+  });
+
 task("assets", "Degenerately spam the network with ERC20s.")
   .setAction(async (taskArgs) => {
     await run("shadow", {alias: 'usdc', ticker: 'USDC', amount: 100000});
     await run("shadow", {alias: 'link', ticker: 'LINK', amount: 100000});
   });
 
-task("blast", "Degenerately deploy the entire platform, assuming a clean slate.")
+task("seed", "Populate a local node with the trusts in a scenario file.")
+  .addOptionalParam('scenario', 'The scenario file to play.', 'scenarios/devnet.json')
+  .addOptionalParam('deploy', 'Flag to blast anything missing or stale before seeding.', true, types.boolean)
+  .setAction(async (taskArgs) => {
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+
+    console.log(greenText, '\n==== GENIE, SEED! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    if (chainId !== 31337) {
+      console.log(redText, "\nSeeding is only for local nodes, not chain " + chainId);
+      return 1;
+    }
+    const scenario = JSON.parse(require('fs').readFileSync(taskArgs['scenario']));
+
+    if (taskArgs['deploy'] && (await run("blast")) === 1) {
+      return 1;
+    }
+    const undeployed = LocksmithRegistry.getUndeployedList(chainId);
+    if (undeployed.length !== 0) {
+      console.log(redText, "\nThese contracts need to be deployed first: " + undeployed.join(', '));
+      return 1;
+    }
+
+    // the registry can outlive the node, so check the assets are still there,
+    // and a fresh node doesn't have an asset registry until the first is shadowed
+    const assets = LocksmithRegistry.getAssetEntries(chainId);
+    for (const asset of scenario.assets || []) {
+      const entry = assets[asset.alias];
+      if (!entry || (await ethers.provider.getCode(entry.address)) === '0x') {
+        await run("shadow", {alias: asset.alias, ticker: asset.ticker, amount: asset.amount});
+      }
+    }
+
+    console.log(greenText, "\n=== SEEDING ===");
+    var trusts = [];
+    try {
+      trusts = await LocksmithSeed.run({
+        chainId: chainId,
+        signers: await ethers.getSigners(),
+        log: (message, isTrust) => isTrust ? console.log(cyanText, '\n ' + message) : console.log('   - ' + message)
+      }, scenario);
+    } catch (err) {
+      console.log(redText, "\nThe seed failed: " + (err.reason || err.message));
+      return 1;
+    }
+
+    console.log(greenText, "\nSeeded " + trusts.length + " trusts! Take a look with genie metrics.");
+    return trusts;
+  });
+
+///////////////////////////////////////////
+// rehearseUpgrade
+//
+// Plays a single step of the upgrade plan on a fork: deploys
+// the local build, and has the recorded owner point the proxy
+// at it. Stateless implementations are only deployed.
+///////////////////////////////////////////
+const rehearseUpgrade = async function(chainId, step) {
+  const contract = await ethers.getContractFactory(step.alias);
+  const isImplementation = step.action === 'redeploy';
+  const current = isImplementation ? step.address : await upgrades.erc1967.getImplementationAddress(step.address);
+
+  if (!(await checkStorageLayout(chainId, step.alias, contract, current, isImplementation))) {
+    throw new Error('the storage layout is unsafe');
+  }
+
+  const implementation = await contract.deploy();
+  await implementation.deployed();
+  if (isImplementation) {
+    return 'deployed at ' + implementation.address;
+  }
+
+  const admin = await getOnChainOwner(step.alias, step.address, current);
+  await network.provider.request({ method: 'hardhat_impersonateAccount', params: [admin] });
+  await network.provider.request({ method: 'hardhat_setBalance',
+    params: [admin, ethers.utils.hexStripZeros(ethers.utils.parseEther('100'))] });
+  await (await contract.attach(step.address).connect(await ethers.getSigner(admin))
+    .upgradeTo(implementation.address)).wait();
+
+  if ((await upgrades.erc1967.getImplementationAddress(step.address)) !== implementation.address) {
+    throw new Error('the proxy does not point at the new implementation');
+  }
+  return 'upgraded by ' + admin;
+}
+
+task("rehearse", "Rehearse the upgrade plan and a smoke suite on a local fork of a registered chain.")
+  .addParam('chain', 'The chain ID of the registry to rehearse against.', undefined, types.int)
+  .addOptionalParam('block', 'The block to fork at, defaulting to the latest.', undefined, types.int)
+  .addOptionalParam('rpc', 'The RPC to fork from, instead of the configured network for the chain.')
+  .addOptionalParam('offline', 'Only use the fork cache, and never the network.', false, types.boolean)
+  .addOptionalParam('steps', 'A comma separated list of smoke steps to run, instead of all of them.')
+  .addOptionalParam('amount', 'The amount of ether the smoke suite moves around.', '0.01')
+  .setAction(async (taskArgs) => {
+    const chainId = taskArgs['chain'];
+    const steps = taskArgs['steps'] ? taskArgs['steps'].split(',').map((s) => s.trim()) :
+      LocksmithSmoke.getStepNames();
+
+    console.log(greenText, '\n==== GENIE, REHEARSE! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+
+    if (network.name !== 'hardhat') {
+      console.log(redText, "\nRehearsals fork into the hardhat network, so run this without --network.");
+      return 1;
+    }
+    if (!LocksmithRegistry.getRegisteredChainIds().includes(chainId)) {
+      console.log(redText, "\nThere is no registry for chain " + chainId + " to rehearse against.");
+      return 1;
+    }
+    if (taskArgs['offline'] && taskArgs['block'] === undefined) {
+      console.log(redText, "\nThe fork cache is kept per block, so --offline needs a --block.");
+      return 1;
+    }
+    const unknown = steps.filter((s) => !LocksmithSmoke.getStepNames().includes(s));
+    if (unknown.length !== 0) {
+      console.log(redText, "\nUnknown smoke steps: " + unknown.join(', '));
+      console.log(yellowText, "The smoke steps are: " + LocksmithSmoke.getStepNames().join(', '));
+      return 1;
+    }
+
+    const resolveUpstream = async function() {
+      if (taskArgs['rpc']) {
+        return taskArgs['rpc'];
+      }
+      const reachable = (await getNetworkProviders())[chainId];
+      if (!reachable) {
+        throw new Error('There is no reachable network for chain ' + chainId + ', try --rpc');
+      }
+      return reachable.provider.connection.url;
+    };
+
+    // a fork of the latest block can't be cached, so pin it
+    var block = taskArgs['block'];
+    if (block === undefined) {
+      block = await new ethers.providers.StaticJsonRpcProvider(await resolveUpstream()).getBlockNumber();
+    }
+
+    console.log(greenText, "\n=== FORK ===\n");
+    console.log(" Chain ID: " + chainId);
+    console.log(" Block: " + block);
+    const cache = await LocksmithFork.serve(chainId, block, resolveUpstream, taskArgs['offline']);
+    var results = [];
+
+    try {
+      await network.provider.request({ method: 'hardhat_reset',
+        params: [{ forking: { jsonRpcUrl: cache.url, blockNumber: block } }] });
+
+      console.log(greenText, "\n=== UPGRADE PLAN ===\n");
+      const order = await getDeploymentOrder(
+        [LocksmithRegistry.getContractList(), LocksmithRegistry.getImplementationList()].flat(2));
+      const plan = (await getDeploymentPlan(chainId, order, true))
+        .filter((step) => ['deploy', 'upgrade', 'redeploy'].includes(step.action));
+      if (plan.length === 0) {
+        console.log(" The registry matches the local build, there is nothing to upgrade.");
+      }
+
+      for (const step of plan) {
+        const name = step.alias + ' ' + step.action;
+        if (step.action === 'deploy') {
+          results.push({ name, status: 'skip', detail: 'not on chain ' + chainId + ', rehearsals only cover upgrades' });
+          continue;
+        }
+        try {
+          results.push({ name, status: 'pass', detail: await rehearseUpgrade(chainId, step) });
+        } catch (err) {
+          results.push({ name, status: 'fail', detail: err.reason || err.message });
+        }
+      }
+
+      console.log(greenText, "\n=== SMOKE SUITE ===\n");
+      const [root, guardian] = await ethers.getSigners();
+      results = results.concat(await LocksmithSmoke.run({
+        chainId:   chainId,
+        root:      root,
+        guardian:  guardian,
+        timestamp: (await ethers.provider.getBlock(block)).timestamp,
+        amount:    ethers.utils.parseEther(taskArgs['amount'])
+      }, steps));
+    } catch (err) {
+      results.push({ name: 'fork', status: 'fail', detail: err.message });
+    } finally {
+      await network.provider.request({ method: 'hardhat_reset', params: [] });
+      await cache.close();
+    }
+
+    console.log(greenText, "\n=== RESULTS ===\n");
+    results.forEach((r) => {
+      const mark = { pass: green('[✓]'), fail: red('[✗]'), skip: yellow('[-]') }[r.status];
+      console.log(" " + mark + " " + r.name + ": " + r.detail);
+    });
+    console.log("\n Fork cache: " + cache.stats.hits + " hits, " + cache.stats.misses + " misses");
+
+    const failures = results.filter((r) => r.status === 'fail').length;
+    if (failures !== 0) {
+      console.log(redText, "\n" + failures + " step(s) failed the rehearsal.");
+      process.exitCode = 1;
+      return 1;
+    }
+    console.log(greenText, "\nThe rehearsal passed!");
+    return 0;
+  });
+
+task("blast", "Deploy the entire platform in dependency order, only touching what is missing or stale.")
   .addOptionalParam('upgrade', 'Flag to do an upgrade deployment even if there\'s and existing address.', false, types.boolean)
+  .addOptionalParam('dry', 'Flag to only print the deployment plan, and stop.', false, types.boolean)
+  .addOptionalParam('salt', 'Deploy deterministically through the CREATE2 factory with the given salt.')
+  .addOptionalParam('price', 'The USD price of the native token, for cost estimates on dry runs.')
   .setAction(async (taskArgs) => {
-    await run("deploy", {contract: 'KeyVault', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'Locksmith', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'KeyLocker', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'Notary', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'Ledger', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'EtherVault', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'TokenVault', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'TrustEventLog', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'AlarmClock', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'KeyOracle', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'Trustee', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'Allowance', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'Distributor', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'VirtualKeyAddress', force: true});
-    await run("deploy", {contract: 'PostOffice', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'KeyAddressFactory', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'MegaKeyCreator', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'TrustCreator', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'TrustRecoveryCenter', upgrade: taskArgs['upgrade']});
-    await run("deploy", {contract: 'RecoveryPolicyCreator', upgrade: taskArgs['upgrade']});
+    const owner = await patchOwner();
+    const chainId = await owner.getChainId();
+
+    console.log(greenText, '\n==== GENIE, BLAST! ====\n');
+    console.log(JSON.stringify(taskArgs, null, 2));
+    console.log(greenText, "\n=== SIGNER INFO ===\n");
+    console.log(" Signer Network Chain ID: " + chainId);
+    console.log(" Signer Wallet Address: " + owner.address);
+
+    var plan = null;
+    try {
+      const order = await getDeploymentOrder(
+        [LocksmithRegistry.getContractList(), LocksmithRegistry.getImplementationList()].flat(2));
+      plan = await getDeploymentPlan(chainId, order, taskArgs['upgrade']);
+    } catch (err) {
+      console.log(redText, "\nUnable to build a deployment plan: " + err.message);
+      return 1;
+    }
+
+    console.log(greenText, "\n=== DEPLOYMENT PLAN ===\n");
+    plan.forEach((step, index) => {
+      const color = {
+        deploy: greenText, upgrade: yellowText, redeploy: yellowText, stale: redText, current: cyanText
+      }[step.action];
+      console.log(color, " " + (index + 1) + ". " + step.alias + ": " + step.action +
+        (step.address ? " (" + step.address + ")" : ""));
+    });
+
+    printManifestWarnings(chainId);
+
+    const stale = plan.filter((step) => step.action === 'stale');
+    if (stale.length !== 0) {
+      console.log(yellowText, "\nStale contracts will be left alone, try again with --upgrade true to upgrade them.");
+    }
+
+    if (taskArgs['dry']) {
+      var estimates = [];
+      for (const step of plan.filter((step) => ['deploy', 'redeploy', 'upgrade'].includes(step.action))) {
+        estimates.push(await estimateDeploymentGas(owner, chainId, step.alias, step.action));
+      }
+
+      // wiring happens after everything is deployed, so anything touching
+      // a contract that is about to move can only be approximated
+      if (!taskArgs['upgrade']) {
+        const moving = plan.filter((step) => ['deploy', 'redeploy'].includes(step.action)).map((step) => step.alias);
+        for (const wire of LocksmithRegistry.getWiringSpec().filter((w) => w.setter)) {
+          const state = await getWiringState(chainId, wire);
+          const description = wire.contract + '.' + wire.setter;
+          if (moving.includes(wire.contract) || moving.includes(wire.alias)) {
+            estimates.push({ description, gas: BigNumber.from(FALLBACK_GAS.setter), approximate: true });
+          } else if (state.status === 'fixable') {
+            const contract = await ethers.getContractFactory(wire.contract, owner);
+            estimates.push(await estimateGas(description, FALLBACK_GAS.setter, async () =>
+              await contract.attach(state.address).estimateGas[wire.setter](state.expected)));
+          }
+        }
+      }
+
+      await printCostEstimate(owner, estimates.flat(), taskArgs['price']);
+      console.log(greenText, "\nThis was a dry run, so we won't actualy do this.");
+      return 0;
+    }
+
+    for (const step of plan) {
+      var result = 0;
+      if (step.action === 'deploy') {
+        result = await run("deploy", {contract: step.alias, salt: taskArgs['salt']});
+      } else if (step.action === 'redeploy') {
+        result = await run("deploy", {contract: step.alias, force: true, salt: taskArgs['salt']});
+      } else if (step.action === 'upgrade') {
+        result = await run("deploy", {contract: step.alias, upgrade: true});
+      }
+
+      if (result === 1) {
+        console.log(redText, "\nBlast stopped at " + step.alias + ", nothing after it was attempted.");
+        return 1;
+      }
+    }
+
     if(!taskArgs['upgrade']) {
-      await run("respect");
+      await run("wire");
     }
   });
+
+///////////////////////////////////////////
+// The helpers that don't need a network are exported,
+// so the test suite can reach them.
+///////////////////////////////////////////
+module.exports = {
+  getInitializationAliases,
+  getDeploymentOrder,
+  getDeploymentAction,
+  estimateProxyGas,
+  getLocalStorageLayout,
+  diffStorageLayouts,
+  getReconciliation
+};
@@ -0,0 +1,394 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+require('./registry.js');
+
+LocksmithIndexer = (function() {
+  /////////////////////////////////////////////
+  // INDEXER
+  //
+  // Rebuilds the history of every trust from the logs of
+  // the registry's contracts, and keeps it in a JSON file
+  // per chain under indexes/. Each sync picks up from the
+  // last block it indexed, and the file is saved after
+  // every range of blocks, so an interrupted sync resumes
+  // where it stopped.
+  //
+  // The hashes of recently indexed blocks are kept, and a
+  // sync starts by making sure the chain still agrees with
+  // them. If it doesn't, the events after the last block
+  // both agree on are dropped and indexed again.
+  //
+  // Not every event names its trust, so each is traced back
+  // through the keys, events, allowances, and inboxes the
+  // events before it created.
+  /////////////////////////////////////////////
+  const EVENTS = {
+    Locksmith: [
+      'event trustCreated(address creator, uint256 trustId, bytes32 trustName, address recipient)',
+      'event keyMinted(address creator, uint256 trustId, uint256 keyId, bytes32 keyName, address receiver)',
+      'event keyBurned(address rootHolder, uint256 trustId, uint256 keyId, address target, uint256 amount)'
+    ],
+    Ledger: [
+      'event depositOccurred(address provider, uint256 trustId, uint256 keyId, bytes32 arn, uint256 amount, ' +
+        'uint256 keyBalance, uint256 trustBalance, uint256 ledgerBalance)',
+      'event withdrawalOccurred(address provider, uint256 trustId, uint256 keyId, bytes32 arn, uint256 amount, ' +
+        'uint256 keyBalance, uint256 trustBalance, uint256 ledgerBalance)',
+      'event ledgerTransferOccurred(address scribe, address provider, bytes32 arn, uint256 trustId, ' +
+        'uint256 rootKeyId, uint256[] keys, uint256[] amounts, uint256 finalRootBalance)'
+    ],
+    Notary: [
+      'event trustedRoleChange(address keyHolder, uint256 trustId, uint256 rootKeyId, address ledger, ' +
+        'address actor, bool trustLevel, uint role)',
+      'event withdrawalAllowanceAssigned(address keyHolder, uint256 keyId, address ledger, address provider, ' +
+        'bytes32 arn, uint256 amount)',
+      'event notaryDepositApproval(address ledger, address provider, uint256 trustId, uint256 rootKeyId, ' +
+        'bytes32 arn, uint256 amount)',
+      'event notaryWithdrawalApproval(address ledger, address provider, uint256 trustId, uint256 keyId, ' +
+        'bytes32 arn, uint256 amount, uint256 allowance)',
+      'event notaryDistributionApproval(address ledger, address provider, address scribe, bytes32 arn, ' +
+        'uint256 trustId, uint256 sourceKeyId, uint256[] keys, uint256[] amounts)',
+      'event notaryEventRegistrationApproval(address dispatcher, uint256 trustId, bytes32 eventHash, bytes32 description)'
+    ],
+    TrustEventLog: [
+      'event trustEventRegistered(address dispatcher, uint256 trustId, bytes32 eventHash, bytes32 eventDescription)',
+      'event trustEventLogged(address dispatcher, bytes32 eventHash)'
+    ],
+    AlarmClock: [
+      'event alarmClockRegistered(address operator, uint256 trustId, uint256 rootKeyId, uint256 alarmTime, ' +
+        'uint256 snoozeInterval, uint256 snoozeKeyId, bytes32 eventHash)',
+      'event alarmClockChallenged(address operator, bytes32 eventHash, uint256 alarmTime, uint256 currentTime)',
+      'event alarmClockSnoozed(address operator, bytes32 eventHash, uint256 snoozeKeyId, uint256 newAlarmTime)'
+    ],
+    Allowance: [
+      'event allowanceCreated(address operator, bytes32 allowanceId, bytes32[] events, uint256 rootKeyId, ' +
+        'uint256 recipientKeyId, uint256 tranches, uint256 interval, uint256 vestTime, ' +
+        'tuple(uint256 sourceKey, bytes32 arn, address provider, uint256 amount)[] assets)',
+      'event allowanceTrancheCountChanged(address operator, bytes32 allowanceId, uint256 trancheCount)',
+      'event allowanceRemoved(address operator, bytes32 allowanceId)',
+      'event allowanceAwarded(address operator, bytes32 allowanceId, uint256 redeemedTranches, uint256 nextVestTime)'
+    ],
+    Trustee: [
+      'event trusteePolicySet(address actor, uint256 rootKeyId, uint256 trusteeKeyId, uint256 sourceKeyId, ' +
+        'uint256[] beneficiaries, bytes32[] events)',
+      'event trusteePolicyRemoved(address actor, uint256 rootKeyId, uint256 trusteeKeyId)'
+    ],
+    PostOffice: [
+      'event keyAddressRegistration(uint8 eventType, address operator, uint256 ownerKeyId, uint256 inboxKey, address inbox)'
+    ],
+    // every inbox is its own contract, found through the post office
+    VirtualKeyAddress: [
+      'event addressTransaction(uint8 txType, address operator, address target, address provider, bytes32 arn, ' +
+        'uint256 amount, uint256 keyId)'
+    ]
+  };
+  const INTERFACES = Object.fromEntries(Object.entries(EVENTS).map(
+    ([alias, events]) => [alias, new ethers.utils.Interface(events)]));
+
+  // the fields that can trace an event back to its trust, in the order they're tried
+  const KEY_FIELDS = ['keyId', 'rootKeyId', 'ownerKeyId', 'inboxKey', 'trusteeKeyId'];
+
+  // how far back a reorg can reach before the index has to be rebuilt
+  const REORG_DEPTH = 128;
+
+  // the most blocks asked for in one eth_getLogs
+  const BLOCK_RANGE = 2000;
+
+  const INBOX_ADD = 0;
+
+  var getIndexFileName = function(chainId) {
+    return path.resolve(__dirname + '/../indexes/index-' + chainId + '.json');
+  };
+
+  // turns decoded arguments into plain JSON, by their names in the ABI
+  var serialize = function(value, param) {
+    if (param.baseType === 'array') {
+      return value.map((v) => serialize(v, param.arrayChildren));
+    }
+    if (param.baseType === 'tuple') {
+      return Object.fromEntries(param.components.map((c, i) => [c.name, serialize(value[i], c)]));
+    }
+    return ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+  };
+
+  /////////////////////////////////////////////
+  // traceTrust
+  //
+  // Produces the trust ID of the record, using what the
+  // records before it have been traced to, or null.
+  /////////////////////////////////////////////
+  var traceTrust = function(traces, record) {
+    const args = record.args;
+    if (args.trustId !== undefined) {
+      return args.trustId;
+    }
+    for (const field of KEY_FIELDS) {
+      if (args[field] !== undefined && traces.keys[args[field]] !== undefined) {
+        return traces.keys[args[field]];
+      }
+    }
+    return traces.events[args.eventHash] || traces.allowances[args.allowanceId] ||
+      traces.inboxes[record.address] || null;
+  };
+
+  // remembers what the record created, so later records can be traced
+  var remember = function(traces, record) {
+    const args = record.args;
+    if (record.trustId === null) {
+      return;
+    }
+    if (record.event === 'keyMinted') {
+      traces.keys[args.keyId] = record.trustId;
+    } else if (record.event === 'trustEventRegistered' || record.event === 'alarmClockRegistered') {
+      traces.events[args.eventHash] = record.trustId;
+    } else if (record.event === 'allowanceCreated') {
+      traces.allowances[args.allowanceId] = record.trustId;
+    } else if (record.event === 'keyAddressRegistration' && args.eventType === INBOX_ADD) {
+      traces.inboxes[args.inbox.toLowerCase()] = record.trustId;
+    }
+  };
+
+  var replay = function(records) {
+    var traces = { keys: {}, events: {}, allowances: {}, inboxes: {} };
+    records.forEach((record) => remember(traces, record));
+    return traces;
+  };
+
+  var getLogs = async function(provider, addresses, fromBlock, toBlock) {
+    if (addresses.length === 0) {
+      return [];
+    }
+    return await provider.send('eth_getLogs', [{
+      address:   addresses,
+      fromBlock: ethers.utils.hexValue(fromBlock),
+      toBlock:   ethers.utils.hexValue(toBlock)
+    }]);
+  };
+
+  // decodes the logs of the given contract, skipping events it isn't indexing
+  var decodeLogs = function(logs, alias) {
+    var records = [];
+    for (const log of logs) {
+      var parsed = null;
+      try {
+        parsed = INTERFACES[alias].parseLog(log);
+      } catch (err) {
+        continue;
+      }
+      records.push({
+        block:     ethers.BigNumber.from(log.blockNumber).toNumber(),
+        blockHash: log.blockHash,
+        tx:        log.transactionHash,
+        logIndex:  ethers.BigNumber.from(log.logIndex).toNumber(),
+        contract:  alias,
+        address:   log.address.toLowerCase(),
+        event:     parsed.name,
+        args:      Object.fromEntries(parsed.eventFragment.inputs.map(
+          (input, i) => [input.name, serialize(parsed.args[i], input)]))
+      });
+    }
+    return records;
+  };
+
+  var createIndex = function(chainId, fileName, stored) {
+    var traces = replay(stored.records);
+
+    var index = {
+      chainId: chainId,
+      /////////////////////////////////////////////
+      // getBlock
+      //
+      // Produces the last block indexed, or one before
+      // the first block to index if nothing has been.
+      /////////////////////////////////////////////
+      getBlock: function() {
+        return stored.block;
+      },
+      /////////////////////////////////////////////
+      // getStartBlock
+      //
+      // Produces the first block the index covers.
+      /////////////////////////////////////////////
+      getStartBlock: function() {
+        return stored.start || 0;
+      },
+      /////////////////////////////////////////////
+      // save
+      //
+      // Writes the index to disk atomically.
+      /////////////////////////////////////////////
+      save: function() {
+        const tempFileName = fileName + '.' + process.pid + '.tmp';
+        fs.mkdirSync(path.dirname(fileName), { recursive: true });
+        fs.writeFileSync(tempFileName, JSON.stringify(stored, null, 2));
+        fs.renameSync(tempFileName, fileName);
+      },
+      /////////////////////////////////////////////
+      // rewind
+      //
+      // Checks the kept block hashes against the chain, and
+      // drops everything after the last one they agree on.
+      // Produces how many records were dropped.
+      /////////////////////////////////////////////
+      rewind: async function(provider) {
+        const numbers = Object.keys(stored.hashes).map(Number).sort((a, b) => b - a);
+        var ancestor = null;
+        for (const number of numbers) {
+          const block = await provider.getBlock(number);
+          if (block && block.hash === stored.hashes[number]) {
+            ancestor = number;
+            break;
+          }
+        }
+        if (ancestor === stored.block || numbers.length === 0) {
+          return 0;
+        }
+        if (ancestor === null) {
+          throw new Error('The chain reorganized deeper than the last ' + REORG_DEPTH +
+            ' blocks indexed, the index needs to be rebuilt.');
+        }
+
+        const kept = stored.records.filter((r) => r.block <= ancestor);
+        const dropped = stored.records.length - kept.length;
+        stored.records = kept;
+        stored.block = ancestor;
+        stored.hashes = Object.fromEntries(Object.entries(stored.hashes).filter(([n]) => Number(n) <= ancestor));
+        traces = replay(kept);
+        index.save();
+        return dropped;
+      },
+      /////////////////////////////////////////////
+      // sync
+      //
+      // Rewinds past any reorg, and then indexes every block
+      // up to the given one, or the latest. The progress
+      // callback is called with each range as it is saved.
+      // Produces the range indexed, and how many records were
+      // added and dropped.
+      /////////////////////////////////////////////
+      sync: async function(provider, toBlock = null, progress = () => {}) {
+        const dropped = await index.rewind(provider);
+        const head = toBlock !== null ? toBlock : await provider.getBlockNumber();
+        const first = stored.block + 1;
+        var added = 0;
+
+        for (var from = first; from <= head; from += BLOCK_RANGE) {
+          const to = Math.min(head, from + BLOCK_RANGE - 1);
+
+          var records = [];
+          const aliases = Object.keys(stored.contracts);
+          const logs = await getLogs(provider, aliases.map((a) => stored.contracts[a]), from, to);
+          for (const alias of aliases) {
+            const address = stored.contracts[alias].toLowerCase();
+            records.push(...decodeLogs(logs.filter((l) => l.address.toLowerCase() === address), alias));
+          }
+
+          // inboxes registered in this range can have transactions in it too
+          var inboxes = new Set(Object.keys(traces.inboxes));
+          records.filter((r) => r.event === 'keyAddressRegistration' && r.args.eventType === INBOX_ADD)
+            .forEach((r) => inboxes.add(r.args.inbox.toLowerCase()));
+          records.push(...decodeLogs(await getLogs(provider, [...inboxes], from, to), 'VirtualKeyAddress'));
+          records.sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+
+          var timestamps = {};
+          for (const number of new Set(records.map((r) => r.block))) {
+            timestamps[number] = (await provider.getBlock(number)).timestamp;
+          }
+          for (const record of records) {
+            record.timestamp = timestamps[record.block];
+            record.trustId = traceTrust(traces, record);
+            remember(traces, record);
+            stored.records.push(record);
+            stored.hashes[record.block] = record.blockHash;
+          }
+
+          stored.hashes[to] = (await provider.getBlock(to)).hash;
+          stored.hashes = Object.fromEntries(Object.entries(stored.hashes)
+            .filter(([n]) => Number(n) > to - REORG_DEPTH));
+          stored.block = to;
+          index.save();
+
+          added += records.length;
+          progress({ from: from, to: to, records: records.length });
+        }
+        return { from: first, to: head, added: added, dropped: dropped };
+      },
+      /////////////////////////////////////////////
+      // query
+      //
+      // Produces the records that match every given field:
+      // trustId, contract, event, fromBlock, toBlock, and
+      // since and until as unix timestamps.
+      /////////////////////////////////////////////
+      query: function(filter = {}) {
+        return stored.records.filter((r) =>
+          (filter.trustId === undefined || r.trustId === filter.trustId.toString()) &&
+          (filter.contract === undefined || r.contract === filter.contract) &&
+          (filter.event === undefined || r.event === filter.event) &&
+          (filter.fromBlock === undefined || r.block >= filter.fromBlock) &&
+          (filter.toBlock === undefined || r.block <= filter.toBlock) &&
+          (filter.since === undefined || r.timestamp >= filter.since) &&
+          (filter.until === undefined || r.timestamp <= filter.until));
+      },
+      /////////////////////////////////////////////
+      // activity
+      //
+      // Produces every record for the trust, oldest first.
+      /////////////////////////////////////////////
+      activity: function(trustId, filter = {}) {
+        return index.query({ ...filter, trustId: trustId });
+      }
+    };
+    return index;
+  };
+
+  return {
+    EVENTS: EVENTS,
+    REORG_DEPTH: REORG_DEPTH,
+    getIndexFileName: getIndexFileName,
+    /////////////////////////////////////////////
+    // open
+    //
+    // Produces the index for the chain, starting a new one
+    // at the given block if there isn't one or it is being
+    // reset. An index only follows the contracts that were
+    // registered when it was started, so it refuses to open
+    // once the registry points somewhere else.
+    //
+    // The contracts to follow, by alias, and the file to
+    // keep the index in can be given instead of taking
+    // them from the registry and indexes/.
+    /////////////////////////////////////////////
+    open: function(chainId, fromBlock = 0, reset = false, options = {}) {
+      var contracts = {};
+      for (const alias of Object.keys(EVENTS).filter((a) => a !== 'VirtualKeyAddress')) {
+        const address = options.contracts ? options.contracts[alias] :
+          LocksmithRegistry.getContractAddress(chainId, alias);
+        if (address) {
+          contracts[alias] = address;
+        }
+      }
+
+      const fileName = options.fileName || getIndexFileName(chainId);
+      if (reset || !fs.existsSync(fileName)) {
+        return createIndex(chainId, fileName, {
+          chainId:   chainId,
+          contracts: contracts,
+          start:     fromBlock,
+          block:     fromBlock - 1,
+          hashes:    {},
+          records:   []
+        });
+      }
+
+      const stored = JSON.parse(fs.readFileSync(fileName));
+      const moved = Object.keys({ ...contracts, ...stored.contracts })
+        .filter((alias) => contracts[alias] !== stored.contracts[alias]);
+      if (moved.length !== 0) {
+        throw new Error('The registry has changed for ' + moved.join(', ') +
+          ' since the index was started, it needs to be rebuilt.');
+      }
+      return createIndex(chainId, fileName, stored);
+    }
+  };
+})();
@@ -1,29 +1,42 @@
 const fs = require('fs');
+const path = require('path');
+const LocksmithArn = require('../lib/arn.js');
 
 LocksmithRegistry = (function() {
-  const CONTRACTS = [ 
-    'KeyVault',
-    'Locksmith',
-    'KeyLocker',
-    'Notary',
-    'Ledger',
-    'EtherVault',
-    'TokenVault',
-    'TrustEventLog',
-    'KeyOracle',
-    'AlarmClock',
-    'Distributor',
-    'PostOffice',
-    'KeyAddressFactory',
-    'MegaKeyCreator',
-    'TrustCreator',
-    'TrustRecoveryCenter',
-    'RecoveryPolicyCreator',
-  ];
-
-  const IMPLEMENTATIONS = [
-    'VirtualKeyAddress'
-  ];
+  /////////////////////////////////////////////
+  // MANIFEST
+  //
+  // The manifest is the source of truth for which
+  // aliases genie is allowed to deploy, and which
+  // registry each of them belongs to. Adding a contract
+  // to the platform means adding it to the manifest.
+  /////////////////////////////////////////////
+  const MANIFEST = JSON.parse(
+    fs.readFileSync(__dirname + '/../registries/manifest.json'));
+
+  /////////////////////////////////////////////
+  // WIRING
+  //
+  // The wiring spec declares which registry alias each
+  // contract is expected to point at, the getter that
+  // reveals it on-chain, and the setter (if any) that
+  // can change it after deployment.
+  /////////////////////////////////////////////
+  const WIRING = JSON.parse(
+    fs.readFileSync(__dirname + '/../registries/wiring.json'));
+
+  const LOCK_RETRY = 100; // ms
+
+  // where the network registries and proposals are kept, and how
+  // long to wait for another process to let go of a registry
+  var settings = {
+    directory:   path.resolve(__dirname + '/../registries'),
+    lockTimeout: 30000 // ms
+  };
+
+  var getManifestAliases = function(registryType) {
+    return Object.keys(MANIFEST).filter((alias) => MANIFEST[alias].type === registryType);
+  };
 
   /////////////////////////////////////////////
   // getNetworkRegistryFileName
@@ -32,7 +45,17 @@ LocksmithRegistry = (function() {
   // for the registry.
   /////////////////////////////////////////////
   var getNetworkRegistryFileName = function(chainId, registryType){
-    return __dirname + '/../registries/network-' + registryType + '-' + chainId + '.json';
+    return settings.directory + '/network-' + registryType + '-' + chainId + '.json';
+  };
+
+  /////////////////////////////////////////////
+  // getProposalRecordFileName
+  //
+  // Produces the file genie keeps its record of the
+  // given Safe batch in.
+  /////////////////////////////////////////////
+  var getProposalRecordFileName = function(fileName) {
+    return fileName.replace(/\.json$/, '') + '.genie.json';
   };
   
   /////////////////////////////////////////////
@@ -58,13 +81,124 @@ LocksmithRegistry = (function() {
   // Takes a registry object (which contains both a chainId and
   // a map of contract aliases and their addresses), and saves
   // it to the proper file atomically.
+  //
+  // The data is written to a temporary file next to the
+  // registry and renamed over it, so a crash half way
+  // through never leaves a truncated registry behind.
   /////////////////////////////////////////////
   var commitNetworkRegistry = function(registry) {
+    let fileName = getNetworkRegistryFileName(registry.chainId, registry.type);
+    let tempFileName = fileName + '.' + process.pid + '.tmp';
     let data = JSON.stringify(registry.contracts, null, 2);
-    fs.writeFileSync(getNetworkRegistryFileName(registry.chainId, registry.type), data); 
+
+    fs.writeFileSync(tempFileName, data);
+    fs.renameSync(tempFileName, fileName);
+  };
+
+  /////////////////////////////////////////////
+  // withNetworkRegistry
+  //
+  // Holds an advisory lock on the registry file while
+  // loading it, handing it to the mutation, and committing
+  // the result. Two genie processes writing to the same
+  // registry will take turns instead of clobbering each
+  // other's changes.
+  //
+  // A lock left behind by a process that no longer
+  // exists is considered stale and is removed. A lock
+  // whose holder hasn't written its process ID yet is
+  // waited on like any other.
+  /////////////////////////////////////////////
+  var withNetworkRegistry = function(chainId, registryType, mutation) {
+    // this will error if the registry doesn't exist, this
+    // is on purpose to ensure that typos don't create new
+    // registries
+    var registry = getNetworkRegistry(chainId, registryType);
+    var lockFileName = getNetworkRegistryFileName(chainId, registryType) + '.lock';
+    var deadline = Date.now() + settings.lockTimeout;
+
+    while (true) {
+      try {
+        fs.writeFileSync(lockFileName, '' + process.pid, { flag: 'wx' });
+        break;
+      } catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw err;
+        }
+
+        var holder = getLockHolder(lockFileName);
+        if (holder === null) {
+          continue; // the holder let go of it since we tried
+        }
+
+        // clean up after processes that crashed while holding the lock
+        if (holder !== undefined && !isProcessAlive(holder)) {
+          fs.rmSync(lockFileName, { force: true });
+          continue;
+        }
+
+        if (Date.now() > deadline) {
+          throw new Error('Timed out waiting for registry lock held by ' +
+            (holder === undefined ? 'a process still starting' : 'process ' + holder) + ': ' + lockFileName);
+        }
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, LOCK_RETRY);
+      }
+    }
+
+    try {
+      // load it again, now that no one else is writing to it
+      registry = getNetworkRegistry(chainId, registryType);
+      mutation(registry);
+      commitNetworkRegistry(registry);
+    } finally {
+      fs.rmSync(lockFileName, { force: true });
+    }
+  };
+
+  /////////////////////////////////////////////
+  // getLockHolder
+  //
+  // Produces the process ID written into the lock, or
+  // null if the lock is gone. The lock is created before
+  // its holder writes the ID into it, so a lock without
+  // one is undefined, and has to be treated as held.
+  /////////////////////////////////////////////
+  var getLockHolder = function(lockFileName) {
+    var contents;
+    try {
+      contents = fs.readFileSync(lockFileName).toString();
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+    return /^\d+$/.test(contents.trim()) ? parseInt(contents) : undefined;
+  };
+
+  var isProcessAlive = function(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (err) {
+      return err.code === 'EPERM';
+    }
   };
 
   return {
+    /////////////////////////////////////////////
+    // configure
+    //
+    // Changes where the network registries are kept, or how
+    // long to wait for their locks, and produces the settings
+    // as they were. The manifest and wiring spec always come
+    // from the repository.
+    /////////////////////////////////////////////
+    configure: function(changes) {
+      var previous = { ...settings };
+      settings = { ...settings, ...changes };
+      return previous;
+    },
     /////////////////////////////////////////////
     // getContractList
     //
@@ -72,7 +206,7 @@ LocksmithRegistry = (function() {
     // introspect the registry.
     /////////////////////////////////////////////
     getContractList: function() {
-      return CONTRACTS;
+      return getManifestAliases('contracts');
     },
     /////////////////////////////////////////////
     // getImplementationList
@@ -81,23 +215,90 @@ LocksmithRegistry = (function() {
     // introspect the registry for implementation contracts.
     /////////////////////////////////////////////
     getImplementationList: function() {
-      return IMPLEMENTATIONS;
+      return getManifestAliases('implementations');
+    },
+    /////////////////////////////////////////////
+    // isInManifest
+    //
+    // Determines if the given alias is something
+    // genie knows how to deploy.
+    /////////////////////////////////////////////
+    isInManifest: function(alias) {
+      return Object.keys(MANIFEST).includes(alias);
+    },
+    /////////////////////////////////////////////
+    // getWiringSpec
+    //
+    // Produce the wiring spec entries, optionally
+    // only the ones for the given contract alias.
+    /////////////////////////////////////////////
+    getWiringSpec: function(alias = null) {
+      return WIRING.filter((w) => alias === null || w.contract === alias);
+    },
+    /////////////////////////////////////////////
+    // getUndeployedList
+    //
+    // Produce the manifest aliases that have never
+    // been saved into the registry for the given chain.
+    /////////////////////////////////////////////
+    getUndeployedList: function(chainId) {
+      return Object.keys(MANIFEST).filter((alias) =>
+        LocksmithRegistry.findContractAddress(chainId, alias) === null);
+    },
+    /////////////////////////////////////////////
+    // getUnknownList
+    //
+    // Produce the aliases saved in the registry for the
+    // given chain that aren't in the manifest.
+    /////////////////////////////////////////////
+    getUnknownList: function(chainId) {
+      return ['contracts', 'implementations'].map((registryType) => {
+        try {
+          return Object.keys(getNetworkRegistry(chainId, registryType).contracts);
+        } catch (err) {
+          return []; // not every chain has every registry
+        }
+      }).flat().filter((alias) => !LocksmithRegistry.isInManifest(alias));
+    },
+    /////////////////////////////////////////////
+    // getDependencyAccessor
+    //
+    // Determines the name of the on-chain getter that
+    // reveals the given dependency of a contract alias.
+    //
+    // The wiring spec is the authority. For anything it
+    // doesn't declare, the ABI is searched for a single
+    // argument-less view returning an address whose name
+    // matches the dependency. If neither works, null.
+    /////////////////////////////////////////////
+    getDependencyAccessor: async function(alias, dependency) {
+      var wire = WIRING.find((w) => w.contract === alias && w.alias === dependency);
+      if (wire) {
+        return wire.getter;
+      }
+
+      var contract = await ethers.getContractFactory(alias);
+      var candidates = Object.values(contract.interface.functions).filter((f) =>
+        f.inputs.length === 0 && f.outputs.length === 1 && f.outputs[0].type === 'address' &&
+        ['view', 'pure'].includes(f.stateMutability) &&
+        f.name.toLowerCase() === dependency.toLowerCase());
+      return candidates.length === 1 ? candidates[0].name : null;
     },
     /////////////////////////////////////////////
     // getDeployedDependencyAddress 
     //
     // Given a context of ethers, get the integrity
-    // of the given contract alias.
+    // of the given contract alias. This will be 'unknown'
+    // when there is no way to ask the contract for it.
     /////////////////////////////////////////////
     getDeployedDependencyAddress: async function(chainId, alias, dependency) {
       var address = LocksmithRegistry.findContractAddress(chainId, alias);
       var contract = await ethers.getContractFactory(alias);
+      var method = await LocksmithRegistry.getDependencyAccessor(alias, dependency);
 
-      // this is a very naughty piece of code, that assumes
-      // there is a public member that is lower-camelized for
-      // the contract dependency.
-      // note: this has already tripped me up once with the event log dependency
-      var method = dependency.charAt(0).toLowerCase() + dependency.slice(1);
+      if (method === null) {
+        return 'unknown';
+      }
       try { 
         return address !== null ? await contract.attach(address)[method]() : null;
       } catch (err) {
@@ -105,6 +306,124 @@ LocksmithRegistry = (function() {
       }
     },
     /////////////////////////////////////////////
+    // getRegisteredChainIds
+    //
+    // Produce every chain ID that has a registry of the
+    // given type on disk, in ascending order.
+    /////////////////////////////////////////////
+    getRegisteredChainIds: function(registryType = 'contracts') {
+      var pattern = new RegExp('^network-' + registryType + '-(\\d+)\\.json$');
+      return fs.readdirSync(settings.directory)
+        .map((f) => (f.match(pattern) || [])[1])
+        .filter((chainId) => chainId !== undefined)
+        .map((chainId) => parseInt(chainId))
+        .sort((a, b) => a - b);
+    },
+    /////////////////////////////////////////////
+    // getAssetEntries
+    //
+    // Produces every asset recorded for the chain, keyed
+    // by alias. Chains without an asset registry have none.
+    /////////////////////////////////////////////
+    getAssetEntries: function(chainId) {
+      try {
+        return getNetworkRegistry(chainId, 'assets').contracts;
+      } catch (err) {
+        return {};
+      }
+    },
+    /////////////////////////////////////////////
+    // getAssetByArn
+    //
+    // Finds the asset recorded with the given ARN, along
+    // with its alias, or produces null.
+    /////////////////////////////////////////////
+    getAssetByArn: function(chainId, arn) {
+      const found = Object.entries(LocksmithRegistry.getAssetEntries(chainId))
+        .find(([alias, entry]) => (entry['arn'] || '').toLowerCase() === arn.toLowerCase());
+      return found ? { alias: found[0], ...found[1] } : null;
+    },
+    /////////////////////////////////////////////
+    // getAssetLookup
+    //
+    // Produces the ARN lookup for the chain's asset
+    // registry. Given a provider, it can discover tokens
+    // through the chain's token vault as well.
+    /////////////////////////////////////////////
+    getAssetLookup: function(chainId, provider = null) {
+      return LocksmithArn.createLookup(LocksmithRegistry.getAssetEntries(chainId), {
+        provider:   provider,
+        tokenVault: provider ? LocksmithRegistry.getContractAddress(chainId, 'TokenVault') : null
+      });
+    },
+    /////////////////////////////////////////////
+    // saveAssetEntry
+    //
+    // Records everything known about an asset under the
+    // alias. Most chains start out without an asset registry,
+    // so it is created the first time it is needed.
+    /////////////////////////////////////////////
+    saveAssetEntry: function(chainId, alias, asset) {
+      try {
+        fs.writeFileSync(getNetworkRegistryFileName(chainId, 'assets'), '{}', { flag: 'wx' });
+      } catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw err;
+        }
+      }
+      withNetworkRegistry(chainId, 'assets', function(registry) {
+        registry.contracts[alias] = {
+          address:   asset.address,
+          standard:  asset.standard,
+          id:        asset.id,
+          arn:       asset.arn,
+          name:      asset.name,
+          symbol:    asset.symbol,
+          decimals:  asset.decimals,
+          timestamp: new Date().toISOString()
+        };
+      });
+    },
+    /////////////////////////////////////////////
+    // removeAssetEntry
+    //
+    // Forgets the asset recorded under the alias.
+    /////////////////////////////////////////////
+    removeAssetEntry: function(chainId, alias) {
+      withNetworkRegistry(chainId, 'assets', function(registry) {
+        delete registry.contracts[alias];
+      });
+    },
+    /////////////////////////////////////////////
+    // getContractEntry
+    //
+    // Opens the registry, and gets everything that
+    // has been recorded about the contract alias.
+    /////////////////////////////////////////////
+    getContractEntry: function(chainId, alias, registryType = 'contracts') {
+      return getNetworkRegistry(chainId, registryType).contracts[alias] || {};
+    },
+    /////////////////////////////////////////////
+    // findContractEntry
+    //
+    // Same as getContractEntry, except it will look
+    // in multiple registries, and tolerates chains that
+    // don't have every type of registry.
+    /////////////////////////////////////////////
+    findContractEntry: function(chainId, alias) {
+      for (const registryType of ['contracts', 'implementations']) {
+        try {
+          var entry = LocksmithRegistry.getContractEntry(chainId, alias, registryType);
+          if (entry['address']) {
+            return entry;
+          }
+        } catch (err) {
+          continue; // not every chain has every registry
+        }
+      }
+      return {};
+    },
+    /////////////////////////////////////////////
     // getContractAddress
     //
     // Opens the registry, and gets a specific
@@ -150,17 +469,10 @@ LocksmithRegistry = (function() {
     // anything that is there!
     /////////////////////////////////////////////
     saveContractAddress: function(chainId, alias, address, registryType = 'contracts') {
-      // this will error if the registry doesn't exist, this
-      // is on purpose to ensure that typos don't create new
-      // registries
-      var registry = getNetworkRegistry(chainId, registryType);
-
-      // save the registry into the map
-      registry.contracts[alias] ||= {};
-      registry.contracts[alias]['address'] = address;
-
-      // save the registry
-      commitNetworkRegistry(registry);
+      withNetworkRegistry(chainId, registryType, (registry) => {
+        registry.contracts[alias] ||= {};
+        registry.contracts[alias]['address'] = address;
+      });
     },
     /////////////////////////////////////////////
     // saveContractCodeHash
@@ -170,17 +482,158 @@ LocksmithRegistry = (function() {
     // anything that is there!
     /////////////////////////////////////////////
     saveContractCodeHash: function(chainId, alias, codeHash, registryType = 'contracts') {
-      // this will error if the registry doesn't exist, this
-      // is on purpose to ensure that typos don't create new
-      // registries
-      var registry = getNetworkRegistry(chainId, registryType);
+      withNetworkRegistry(chainId, registryType, (registry) => {
+        registry.contracts[alias] ||= {};
+        registry.contracts[alias]['codeHash'] = codeHash;
+      });
+    },
+    /////////////////////////////////////////////
+    // saveContractDeployment
+    //
+    // Records a deployment or upgrade of the alias, which
+    // is an object with an address, code hash, deployer,
+    // and transaction hash. Proxies also record the address
+    // of the implementation behind them, and deterministic
+    // deployments record their salt and predicted address.
+    //
+    // Whatever the alias pointed to before is appended to
+    // its history, so a --force or --upgrade never loses
+    // track of the previous address.
+    /////////////////////////////////////////////
+    saveContractDeployment: function(chainId, alias, deployment, registryType = 'contracts') {
+      withNetworkRegistry(chainId, registryType, (registry) => {
+        var entry = registry.contracts[alias] || {};
+        var history = entry['history'] || [];
 
-      // save the registry into the map
-      registry.contracts[alias] ||= {};
-      registry.contracts[alias]['codeHash'] = codeHash;
+        if (entry['address']) {
+          history.push({
+            address:        entry['address'],
+            implementation: entry['implementation'] || null,
+            codeHash:       entry['codeHash'] || null,
+            deployer:       entry['deployer'] || null,
+            txHash:         entry['txHash'] || null,
+            timestamp:      entry['timestamp'] || null
+          });
+        }
 
-      // save the registry
-      commitNetworkRegistry(registry);
+        // upgrades keep the address, and whatever made it deterministic
+        var moved = entry['address'] !== deployment.address;
+
+        registry.contracts[alias] = {
+          ...entry,
+          address:        deployment.address,
+          implementation: deployment.implementation || null,
+          codeHash:       deployment.codeHash,
+          deployer:       deployment.deployer,
+          txHash:         deployment.txHash,
+          salt:           deployment.salt || (moved ? null : entry['salt'] || null),
+          predicted:      deployment.predicted || (moved ? null : entry['predicted'] || null),
+          timestamp:      new Date().toISOString(),
+          history:        history
+        };
+      });
+    },
+    /////////////////////////////////////////////
+    // getContractHistory
+    //
+    // Produces the previous deployments of the alias,
+    // oldest first.
+    /////////////////////////////////////////////
+    getContractHistory: function(chainId, alias, registryType = 'contracts') {
+      return (getNetworkRegistry(chainId, registryType).contracts[alias] || {})['history'] || [];
+    },
+    /////////////////////////////////////////////
+    // saveContractVerification
+    //
+    // Records the block explorer verification status of
+    // the alias' proxy or implementation. Each status keeps
+    // the address it was for, so an upgrade makes it stale
+    // rather than wrong.
+    /////////////////////////////////////////////
+    saveContractVerification: function(chainId, alias, kind, verification, registryType = 'contracts') {
+      withNetworkRegistry(chainId, registryType, function(registry) {
+        var entry = registry.contracts[alias] || {};
+        registry.contracts[alias] = {
+          ...entry,
+          verification: {
+            ...(entry['verification'] || {}),
+            [kind]: {
+              address:   verification.address,
+              status:    verification.status,
+              reason:    verification.reason || null,
+              timestamp: new Date().toISOString()
+            }
+          }
+        };
+      });
+    },
+    /////////////////////////////////////////////
+    // getLayoutSnapshot
+    //
+    // Produces the storage layout recorded for the alias
+    // the last time genie deployed or upgraded it, or null.
+    /////////////////////////////////////////////
+    getLayoutSnapshot: function(chainId, alias) {
+      if (!fs.existsSync(getNetworkRegistryFileName(chainId, 'layouts'))) {
+        return null;
+      }
+      return getNetworkRegistry(chainId, 'layouts').contracts[alias] || null;
+    },
+    /////////////////////////////////////////////
+    // saveLayoutSnapshot
+    //
+    // Records the storage layout of the alias, along with
+    // the code hash it was produced from. The layouts
+    // registry is derived from the contracts registry, so
+    // it is created the first time it is needed.
+    /////////////////////////////////////////////
+    saveLayoutSnapshot: function(chainId, alias, codeHash, layout) {
+      var fileName = getNetworkRegistryFileName(chainId, 'layouts');
+      try {
+        fs.writeFileSync(fileName, JSON.stringify({}, null, 2), { flag: 'wx' });
+      } catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw err;
+        }
+      }
+
+      withNetworkRegistry(chainId, 'layouts', function(registry) {
+        registry.contracts[alias] = {
+          codeHash:  codeHash,
+          layout:    layout,
+          timestamp: new Date().toISOString()
+        };
+      });
+    },
+    /////////////////////////////////////////////
+    // saveProposal
+    //
+    // Writes a Safe transaction batch into the proposals
+    // directory, keyed by chain ID and creation time, and
+    // produces the file name. The batch is kept exactly as
+    // the transaction builder imports it, and what genie
+    // knows about it is written next to it as a record.
+    // Saving the same batch again overwrites both.
+    /////////////////////////////////////////////
+    saveProposal: function(batch, record) {
+      var directory = settings.directory + '/proposals';
+      var fileName = directory + '/' + batch.chainId + '-' + batch.createdAt + '.json';
+      fs.mkdirSync(directory, { recursive: true });
+      fs.writeFileSync(fileName, JSON.stringify(batch, null, 2));
+      fs.writeFileSync(getProposalRecordFileName(fileName), JSON.stringify(record, null, 2));
+      return fileName;
+    },
+    /////////////////////////////////////////////
+    // getProposal
+    //
+    // Loads a Safe transaction batch from disk, along
+    // with genie's record of it.
+    /////////////////////////////////////////////
+    getProposal: function(fileName) {
+      return {
+        batch:  JSON.parse(fs.readFileSync(fileName)),
+        record: JSON.parse(fs.readFileSync(getProposalRecordFileName(fileName)))
+      };
     }
   };
 })();
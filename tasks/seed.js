@@ -0,0 +1,230 @@
+const LocksmithArn = require('../lib/arn.js');
+
+LocksmithSeed = (function() {
+  /////////////////////////////////////////////
+  // SEED
+  //
+  // Plays a scenario of trusts into the registry's contracts,
+  // so a local chain looks like it has been used. Every
+  // trust in the scenario declares who holds its keys, what
+  // it holds, and which agents are looking after it.
+  //
+  // Keys are referred to by name within their trust, with
+  // 'root' being the root key. Events are referred to by
+  // the name of the alarm or oracle that registered them.
+  // Holders and guardians are either an index into the
+  // hardhat accounts or an address.
+  /////////////////////////////////////////////
+  const COLLATERAL_PROVIDER = 0;
+  const SCRIBE = 1;
+  const DISPATCHER = 2;
+
+  var stb = function(s) {
+    return ethers.utils.formatBytes32String(s);
+  };
+
+  var attach = async function(context, alias, registryType = 'contracts') {
+    const contract = await ethers.getContractFactory(registryType === 'assets' ? 'ShadowERC' : alias);
+    const address = LocksmithRegistry.getContractAddress(context.chainId, alias, registryType);
+    if (!address) {
+      throw new Error(alias + ' is not in the ' + registryType + ' registry');
+    }
+    return contract.attach(address);
+  };
+
+  // calls the method statically for its return value, and then for real
+  var send = async function(contract, signer, method, ...args) {
+    const result = await contract.connect(signer).callStatic[method](...args);
+    await (await contract.connect(signer)[method](...args)).wait();
+    return result;
+  };
+
+  var getAccount = function(context, holder) {
+    if (typeof holder === 'number') {
+      if (!context.signers[holder]) {
+        throw new Error('There is no hardhat account at index ' + holder);
+      }
+      return context.signers[holder];
+    }
+    return context.signers.find((s) => s.address.toLowerCase() === holder.toLowerCase()) ||
+      { address: ethers.utils.getAddress(holder) };
+  };
+
+  var getKeyId = function(trust, name) {
+    if (!trust.keyIds.hasOwnProperty(name)) {
+      throw new Error('There is no key named ' + name + ' in ' + trust.name);
+    }
+    return trust.keyIds[name];
+  };
+
+  var getEventHash = function(trust, name) {
+    if (!trust.events.hasOwnProperty(name)) {
+      throw new Error('There is no alarm or oracle named ' + name + ' in ' + trust.name);
+    }
+    return trust.events[name];
+  };
+
+  // the provider and ARN of an asset, by alias or ETH
+  var getAsset = async function(context, alias) {
+    if (alias === 'ETH') {
+      return { provider: await attach(context, 'EtherVault'), arn: LocksmithArn.ETH };
+    }
+    const token = await attach(context, alias, 'assets');
+    return { provider: await attach(context, 'TokenVault'), arn: LocksmithArn.encode(token.address, LocksmithArn.STANDARDS.erc20), token: token };
+  };
+
+  // trusts the actor for the trust's ledger or event log, once
+  var trustActor = async function(context, trust, role, alias) {
+    if (trust.actors.includes(alias)) {
+      return;
+    }
+    const notary = await attach(context, 'Notary');
+    const target = await attach(context, role === DISPATCHER ? 'TrustEventLog' : 'Ledger');
+    const actor = await attach(context, alias);
+    await send(notary, trust.owner, 'setTrustedLedgerRole', trust.rootKeyId, role,
+      target.address, actor.address, true, stb(alias));
+    trust.actors.push(alias);
+  };
+
+  const STEPS = {
+    keys: async function(context, trust, keys) {
+      const locksmith = await attach(context, 'Locksmith');
+      for (const key of keys) {
+        const holder = getAccount(context, key.holder);
+        trust.keyIds[key.name] = await send(locksmith, trust.owner, 'createKey',
+          trust.rootKeyId, stb(key.name), holder.address, false);
+        context.log(key.name + ' is key ' + trust.keyIds[key.name] + ', held by ' + holder.address);
+        trust.holders[key.name] = holder;
+      }
+    },
+    deposits: async function(context, trust, deposits) {
+      for (const deposit of deposits) {
+        const keyId = getKeyId(trust, deposit.key || 'root');
+        const { provider, token } = await getAsset(context, deposit.asset);
+        const amount = ethers.utils.parseEther(deposit.amount);
+
+        await trustActor(context, trust, COLLATERAL_PROVIDER, deposit.asset === 'ETH' ? 'EtherVault' : 'TokenVault');
+        if (!token) {
+          await (await provider.connect(trust.owner).deposit(keyId, { value: amount })).wait();
+        } else {
+          // shadow tokens can be minted for owners that don't have enough
+          if ((await token.balanceOf(trust.owner.address)).lt(amount)) {
+            await (await token.connect(trust.owner).spawn(amount)).wait();
+          }
+          await (await token.connect(trust.owner).approve(provider.address, amount)).wait();
+          await (await provider.connect(trust.owner).deposit(keyId, token.address, amount)).wait();
+        }
+        context.log('deposited ' + deposit.amount + ' ' + deposit.asset + ' for key ' + keyId);
+      }
+    },
+    inboxes: async function(context, trust, inboxes) {
+      const keyVault = await attach(context, 'KeyVault');
+      const factory = await attach(context, 'KeyAddressFactory');
+      const postOffice = await attach(context, 'PostOffice');
+      const etherVault = await attach(context, 'EtherVault');
+      for (const name of inboxes) {
+        const keyId = getKeyId(trust, name);
+        const request = ethers.utils.defaultAbiCoder.encode(['uint256', 'address', 'bool'],
+          [keyId, etherVault.address, true]);
+        await (await keyVault.connect(trust.owner).safeTransferFrom(trust.owner.address,
+          factory.address, trust.rootKeyId, 1, request)).wait();
+        context.log('inbox for ' + name + ' at ' + (await postOffice.getKeyInbox(keyId)));
+      }
+    },
+    oracles: async function(context, trust, oracles) {
+      const keyOracle = await attach(context, 'KeyOracle');
+      await trustActor(context, trust, DISPATCHER, 'KeyOracle');
+      for (const oracle of oracles) {
+        const keyId = getKeyId(trust, oracle.key);
+        trust.events[oracle.name] = await send(keyOracle, trust.owner, 'createKeyOracle',
+          trust.rootKeyId, keyId, stb(oracle.name));
+        if (oracle.fired) {
+          await send(keyOracle, trust.holders[oracle.key], 'fireKeyOracleEvent', keyId, trust.events[oracle.name]);
+        }
+        context.log('oracle ' + oracle.name + ' for ' + oracle.key + (oracle.fired ? ', fired' : ''));
+      }
+    },
+    alarms: async function(context, trust, alarms) {
+      const alarmClock = await attach(context, 'AlarmClock');
+      await trustActor(context, trust, DISPATCHER, 'AlarmClock');
+      const { timestamp } = await ethers.provider.getBlock('latest');
+      for (const alarm of alarms) {
+        const snoozeKeyId = alarm.snoozeKey ? getKeyId(trust, alarm.snoozeKey) : 0;
+        trust.events[alarm.name] = await send(alarmClock, trust.owner, 'createAlarm', trust.rootKeyId,
+          stb(alarm.name), timestamp + alarm.in, alarm.snoozeInterval || 0, snoozeKeyId);
+        context.log('alarm ' + alarm.name + ' going off in ' + alarm.in + ' seconds');
+      }
+    },
+    allowances: async function(context, trust, allowances) {
+      const allowance = await attach(context, 'Allowance');
+      await trustActor(context, trust, SCRIBE, 'Allowance');
+      const { timestamp } = await ethers.provider.getBlock('latest');
+      for (const a of allowances) {
+        const { provider, arn } = await getAsset(context, a.asset);
+        await send(allowance, trust.owner, 'createAllowance', trust.rootKeyId, stb(a.name),
+          getKeyId(trust, a.recipient), a.tranches, a.interval, timestamp, [{
+            sourceKey: trust.rootKeyId,
+            arn:       arn,
+            provider:  provider.address,
+            amount:    ethers.utils.parseEther(a.amount)
+          }], (a.events || []).map((e) => getEventHash(trust, e)));
+        context.log('allowance ' + a.name + ' of ' + a.amount + ' ' + a.asset + ' for ' + a.recipient);
+      }
+    },
+    trustee: async function(context, trust, policy) {
+      const trustee = await attach(context, 'Trustee');
+      await trustActor(context, trust, SCRIBE, 'Trustee');
+      await send(trustee, trust.owner, 'setPolicy', trust.rootKeyId, getKeyId(trust, policy.key),
+        trust.rootKeyId, policy.beneficiaries.map((b) => getKeyId(trust, b)),
+        (policy.events || []).map((e) => getEventHash(trust, e)));
+      context.log('trustee ' + policy.key + ' for ' + policy.beneficiaries.join(', '));
+    },
+    recovery: async function(context, trust, policy) {
+      const keyVault = await attach(context, 'KeyVault');
+      const recoveryCenter = await attach(context, 'TrustRecoveryCenter');
+      const guardians = policy.guardians.map((g) => getAccount(context, g).address);
+      const request = ethers.utils.defaultAbiCoder.encode(['address[]', 'bytes32[]'],
+        [guardians, (policy.events || []).map((e) => getEventHash(trust, e))]);
+      await (await keyVault.connect(trust.owner).safeTransferFrom(trust.owner.address,
+        recoveryCenter.address, trust.rootKeyId, 1, request)).wait();
+      context.log('recovery by ' + guardians.join(', '));
+    }
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // run
+    //
+    // Creates every trust in the scenario, in order, and
+    // plays its steps. The first failure stops the seed.
+    // Produces the trust and root key ID of each trust.
+    /////////////////////////////////////////////
+    run: async function(context, scenario) {
+      const locksmith = await attach(context, 'Locksmith');
+      var trusts = [];
+      for (const spec of scenario.trusts || []) {
+        const owner = getAccount(context, spec.owner || 0);
+        const [trustId, rootKeyId] = await send(locksmith, owner, 'createTrustAndRootKey',
+          stb(spec.name), owner.address);
+        context.log(spec.name + ' is trust ' + trustId + ', with root key ' + rootKeyId, true);
+
+        var trust = {
+          name:      spec.name,
+          owner:     owner,
+          rootKeyId: rootKeyId,
+          keyIds:    { root: rootKeyId },
+          holders:   { root: owner },
+          events:    {},
+          actors:    []
+        };
+        for (const [step, play] of Object.entries(STEPS)) {
+          if (spec[step] !== undefined) {
+            await play(context, trust, spec[step]);
+          }
+        }
+        trusts.push({ name: spec.name, trustId: trustId.toNumber(), rootKeyId: rootKeyId.toNumber() });
+      }
+      return trusts;
+    }
+  };
+})();
@@ -0,0 +1,144 @@
+const fs = require('fs');
+
+LocksmithSigner = (function() {
+  /////////////////////////////////////////////
+  // SIGNERS
+  //
+  // Each network declares how genie should sign for it,
+  // and which kind of transactions it should send. Entries
+  // are looked up by hardhat network name first, then by
+  // chain ID, and then fall back to the default.
+  //
+  // Strategies:
+  //
+  // - hardhat:     one of the configured hardhat accounts { index }
+  // - ledger:      a configured ledger account { account }
+  // - env:         a private key in the environment { key }
+  // - keystore:    an encrypted JSON wallet { file, password }
+  // - impersonate: any address on a fork or local node { account, fund }
+  /////////////////////////////////////////////
+  const SIGNERS = JSON.parse(
+    fs.readFileSync(__dirname + '/../registries/signers.json'));
+
+  const TRANSACTION_POLICIES = ['legacy', 'eip1559'];
+
+  /////////////////////////////////////////////
+  // STRATEGIES
+  //
+  // Each strategy takes the signer config and produces
+  // an ethers signer connected to the network's provider.
+  /////////////////////////////////////////////
+  const STRATEGIES = {
+    hardhat: async function(config) {
+      const signers = await ethers.getSigners();
+      const index = config.index || 0;
+      if (index >= signers.length) {
+        throw new Error('There is no hardhat account at index ' + index + ' for this network.');
+      }
+      return signers[index];
+    },
+    ledger: async function(config) {
+      const account = config.account || (hre.network.config.ledgerAccounts || [])[0];
+      const signer = (await ethers.getSigners()).find((s) =>
+        account && s.address.toLowerCase() === account.toLowerCase());
+      if (!signer) {
+        throw new Error('The ledger account ' + account + ' is not configured for this network.');
+      }
+      return signer;
+    },
+    env: async function(config) {
+      if (!process.env[config.key]) {
+        throw new Error('The environment variable ' + config.key + ' is not set.');
+      }
+      return new ethers.Wallet(process.env[config.key], ethers.provider);
+    },
+    keystore: async function(config) {
+      if (config.password && !process.env[config.password]) {
+        throw new Error('The environment variable ' + config.password + ' is not set.');
+      }
+      const json = fs.readFileSync(__dirname + '/../' + config.file, 'utf8');
+      const wallet = await ethers.Wallet.fromEncryptedJson(json,
+        config.password ? process.env[config.password] : '');
+      return wallet.connect(ethers.provider);
+    },
+    impersonate: async function(config) {
+      await ethers.provider.send('hardhat_impersonateAccount', [config.account]);
+      if (config.fund) {
+        await ethers.provider.send('hardhat_setBalance', [config.account,
+          ethers.utils.hexStripZeros(ethers.utils.parseEther(config.fund))]);
+      }
+      return await ethers.getSigner(config.account);
+    }
+  };
+
+  /////////////////////////////////////////////
+  // applyTransactionPolicy
+  //
+  // Fills in the fee fields on every transaction the signer
+  // sends, unless the caller already did. Ethers and hardhat
+  // both choose the transaction type from the fee fields
+  // present, so this pins the envelope regardless of what
+  // the node advertises.
+  /////////////////////////////////////////////
+  var applyTransactionPolicy = function(signer, policy) {
+    const sendTransaction = signer.sendTransaction.bind(signer);
+    signer.sendTransaction = async function(transaction) {
+      const tx = await ethers.utils.resolveProperties(transaction);
+      if (tx.gasPrice || tx.maxFeePerGas || tx.maxPriorityFeePerGas) {
+        return sendTransaction(tx);
+      }
+
+      if (policy === 'legacy') {
+        const gasPrice = typeof hre.network.config.gasPrice === 'number' ?
+          hre.network.config.gasPrice : await signer.provider.getGasPrice();
+        return sendTransaction({...tx, gasPrice});
+      }
+
+      const feeData = await signer.provider.getFeeData();
+      if (!feeData.maxFeePerGas) {
+        throw new Error('The network does not support EIP-1559 transactions.');
+      }
+      return sendTransaction({...tx,
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas});
+    };
+    return signer;
+  };
+
+  return {
+    /////////////////////////////////////////////
+    // getSignerConfig
+    //
+    // Produces the signer config for the given network
+    // name and chain ID, from the signers registry unless
+    // other entries are given.
+    /////////////////////////////////////////////
+    getSignerConfig: function(networkName, chainId, signers = SIGNERS) {
+      const config = {
+        ...signers['default'],
+        ...(signers[chainId.toString()] || {}),
+        ...(signers[networkName] || {})
+      };
+
+      if (!STRATEGIES.hasOwnProperty(config.strategy)) {
+        throw new Error('Unknown signer strategy for ' + networkName + ': ' + config.strategy);
+      }
+      if (!TRANSACTION_POLICIES.includes(config.transactions)) {
+        throw new Error('Unknown transaction policy for ' + networkName + ': ' + config.transactions);
+      }
+      return config;
+    },
+    /////////////////////////////////////////////
+    // getSigner
+    //
+    // Produces the signer for the current hardhat network,
+    // with its transaction policy applied.
+    /////////////////////////////////////////////
+    getSigner: async function() {
+      const { chainId } = await ethers.provider.getNetwork();
+      const config = LocksmithSigner.getSignerConfig(hre.network.name, chainId);
+      const signer = await STRATEGIES[config.strategy](config);
+      return applyTransactionPolicy(signer, config.transactions);
+    }
+  };
+})();
@@ -0,0 +1,171 @@
+const LocksmithArn = require('../lib/arn.js');
+
+LocksmithSmoke = (function() {
+  /////////////////////////////////////////////
+  // SMOKE SUITE
+  //
+  // A handful of end to end user journeys, run against
+  // whatever registry the context points at. Each step
+  // names the steps it builds on, and is skipped if
+  // any of them didn't pass.
+  //
+  // The context carries the chain ID, a root key holder,
+  // a guardian, the time the journeys start at, and
+  // whatever the steps leave behind.
+  //
+  // Nothing is taken from the clock, as anything that ends
+  // up in a storage key would be read from a different slot
+  // on every run, and miss the fork cache.
+  /////////////////////////////////////////////
+  const COLLATERAL_PROVIDER = 0;
+  const DISPATCHER = 2;
+  const KEY_CONTEXT_ID = 2;
+
+  var stb = function(s) {
+    return ethers.utils.formatBytes32String(s);
+  };
+
+  var attach = async function(context, alias) {
+    const contract = await ethers.getContractFactory(alias);
+    return contract.attach(LocksmithRegistry.getContractAddress(context.chainId, alias));
+  };
+
+  // calls the method statically for its return value, and then for real
+  var send = async function(contract, signer, method, ...args) {
+    const result = await contract.connect(signer).callStatic[method](...args);
+    await (await contract.connect(signer)[method](...args)).wait();
+    return result;
+  };
+
+  const STEPS = [{
+    name: 'create-trust',
+    requires: [],
+    run: async function(context) {
+      const locksmith = await attach(context, 'Locksmith');
+      const [trustId, rootKeyId] = await send(locksmith, context.root, 'createTrustAndRootKey',
+        stb('Rehearsal'), context.root.address);
+      context.rootKeyId = rootKeyId;
+      return 'trust ' + trustId + ' with root key ' + rootKeyId;
+    }
+  }, {
+    name: 'deposit-eth',
+    requires: ['create-trust'],
+    run: async function(context) {
+      const notary = await attach(context, 'Notary');
+      const ledger = await attach(context, 'Ledger');
+      const vault = await attach(context, 'EtherVault');
+
+      await send(notary, context.root, 'setTrustedLedgerRole', context.rootKeyId, COLLATERAL_PROVIDER,
+        ledger.address, vault.address, true, stb('Ether Vault'));
+      await (await vault.connect(context.root).deposit(context.rootKeyId, { value: context.amount })).wait();
+
+      const [balance] = await ledger.getContextArnBalances(KEY_CONTEXT_ID, context.rootKeyId, vault.address, [LocksmithArn.ETH]);
+      if (!balance.eq(context.amount)) {
+        throw new Error('the ledger shows ' + ethers.utils.formatEther(balance) + ' for the root key');
+      }
+      return ethers.utils.formatEther(balance) + ' ETH held by the root key';
+    }
+  }, {
+    name: 'create-allowance',
+    requires: ['create-trust'],
+    run: async function(context) {
+      const locksmith = await attach(context, 'Locksmith');
+      const allowance = await attach(context, 'Allowance');
+      const vault = await attach(context, 'EtherVault');
+
+      const keyId = await send(locksmith, context.root, 'createKey', context.rootKeyId,
+        stb('Allowance'), context.root.address, false);
+      const allowanceId = await send(allowance, context.root, 'createAllowance', context.rootKeyId,
+        stb('Rehearsal'), keyId, 1, 86400, context.timestamp, [{
+          sourceKey: context.rootKeyId,
+          arn:       LocksmithArn.ETH,
+          provider:  vault.address,
+          amount:    context.amount
+        }], []);
+
+      const [created] = await allowance.getAllowance(allowanceId);
+      if (!created.recipientKeyId.eq(keyId)) {
+        throw new Error('the allowance ' + allowanceId + ' was not recorded');
+      }
+      return 'allowance ' + allowanceId.slice(0, 10) + ' for key ' + keyId;
+    }
+  }, {
+    name: 'key-oracle-event',
+    requires: ['create-trust'],
+    run: async function(context) {
+      const notary = await attach(context, 'Notary');
+      const events = await attach(context, 'TrustEventLog');
+      const keyOracle = await attach(context, 'KeyOracle');
+
+      await send(notary, context.root, 'setTrustedLedgerRole', context.rootKeyId, DISPATCHER,
+        events.address, keyOracle.address, true, stb('Key Oracle'));
+      const eventHash = await send(keyOracle, context.root, 'createKeyOracle', context.rootKeyId,
+        context.rootKeyId, stb('Rehearsal'));
+      await send(keyOracle, context.root, 'fireKeyOracleEvent', context.rootKeyId, eventHash);
+
+      if (!(await events.firedEvents(eventHash))) {
+        throw new Error('the event ' + eventHash + ' was not fired');
+      }
+      return 'fired ' + eventHash.slice(0, 10);
+    }
+  }, {
+    name: 'recover-key',
+    requires: ['create-trust'],
+    run: async function(context) {
+      const keyVault = await attach(context, 'KeyVault');
+      const recovery = await attach(context, 'TrustRecoveryCenter');
+
+      const policy = ethers.utils.defaultAbiCoder.encode(['address[]', 'bytes32[]'],
+        [[context.guardian.address], []]);
+      await (await keyVault.connect(context.root).safeTransferFrom(context.root.address,
+        recovery.address, context.rootKeyId, 1, policy)).wait();
+      await send(recovery, context.guardian, 'recoverKey', context.rootKeyId);
+
+      if (!(await keyVault.keyBalanceOf(context.guardian.address, context.rootKeyId, false)).eq(1)) {
+        throw new Error('the guardian did not receive the root key');
+      }
+      return 'root key ' + context.rootKeyId + ' recovered by ' + context.guardian.address;
+    }
+  }];
+
+  return {
+    /////////////////////////////////////////////
+    // getStepNames
+    //
+    // Produces the name of every step, in the order
+    // they are run.
+    /////////////////////////////////////////////
+    getStepNames: function() {
+      return STEPS.map((step) => step.name);
+    },
+    /////////////////////////////////////////////
+    // run
+    //
+    // Runs the named steps in order, along with the steps
+    // they build on, producing the outcome of each: pass,
+    // fail, or skip.
+    /////////////////////////////////////////////
+    run: async function(context, names) {
+      var wanted = new Set(names);
+      for (const step of [...STEPS].reverse().filter((s) => wanted.has(s.name))) {
+        step.requires.forEach((r) => wanted.add(r));
+      }
+
+      var results = [];
+      for (const step of STEPS.filter((s) => wanted.has(s.name))) {
+        const blocked = step.requires.filter((r) => !results.some((x) => x.name === r && x.status === 'pass'));
+        if (blocked.length !== 0) {
+          results.push({ name: step.name, status: 'skip', detail: 'needs ' + blocked.join(', ') });
+          continue;
+        }
+
+        try {
+          results.push({ name: step.name, status: 'pass', detail: await step.run(context) });
+        } catch (err) {
+          results.push({ name: step.name, status: 'fail', detail: err.reason || err.message });
+        }
+      }
+      return results;
+    }
+  };
+})();
@@ -0,0 +1,201 @@
+const { ethers } = require('ethers');
+require('./registry.js');
+const LocksmithClient = require('../lib/client.js');
+
+LocksmithStatement = (function() {
+  /////////////////////////////////////////////
+  // STATEMENTS
+  //
+  // A statement of a trust over a range of blocks: for
+  // every key, and every asset it held at each collateral
+  // provider, the balance at the start, what moved in and
+  // out, and the balance at the end.
+  //
+  // Movements come from the indexer, and the opening and
+  // closing balances are read from the ledger at the edges
+  // of the range. An account reconciles when the opening
+  // balance plus its movements comes to the closing one.
+  // Reading balances in the past needs an archive node.
+  /////////////////////////////////////////////
+  const KEY_CONTEXT_ID = 2;
+  const LEDGER_ABI = [
+    'function getContextArnRegistry(uint256, uint256, address) view returns (bytes32[])',
+    'function getContextArnBalances(uint256, uint256, address, bytes32[]) view returns (uint256[])'
+  ];
+
+  const CSV_COLUMNS = ['keyId', 'key', 'provider', 'asset', 'arn', 'type', 'block', 'timestamp', 'tx', 'amount', 'balance'];
+
+  /////////////////////////////////////////////
+  // getMovements
+  //
+  // Turns an indexed ledger event into the movement it
+  // made to each key: deposits and withdrawals move one
+  // key, and a transfer moves the source key and every
+  // key it went to. Transfers made by the allowance
+  // contract are allowance redemptions.
+  /////////////////////////////////////////////
+  var getMovements = function(record, allowance) {
+    const args = record.args;
+    const base = { block: record.block, timestamp: record.timestamp, tx: record.tx,
+      provider: ethers.utils.getAddress(args.provider), arn: args.arn };
+    if (record.event === 'depositOccurred') {
+      return [{ ...base, keyId: args.keyId, type: 'deposit', amount: ethers.BigNumber.from(args.amount) }];
+    }
+    if (record.event === 'withdrawalOccurred') {
+      return [{ ...base, keyId: args.keyId, type: 'withdrawal', amount: ethers.BigNumber.from(args.amount).mul(-1) }];
+    }
+    if (record.event === 'ledgerTransferOccurred') {
+      const type = allowance && args.scribe.toLowerCase() === allowance.toLowerCase() ? 'allowance' : 'distribution';
+      const total = args.amounts.reduce((sum, a) => sum.add(a), ethers.BigNumber.from(0));
+      return [{ ...base, keyId: args.rootKeyId, type: type, amount: total.mul(-1) },
+        ...args.keys.map((keyId, i) => ({ ...base, keyId: keyId, type: type, amount: ethers.BigNumber.from(args.amounts[i]) }))];
+    }
+    return [];
+  };
+
+  var getBalances = async function(ledger, keyId, provider, blockTag) {
+    const arns = await ledger.getContextArnRegistry(KEY_CONTEXT_ID, keyId, provider, { blockTag: blockTag });
+    const balances = arns.length === 0 ? [] :
+      await ledger.getContextArnBalances(KEY_CONTEXT_ID, keyId, provider, arns, { blockTag: blockTag });
+    return Object.fromEntries(arns.map((arn, i) => [arn, balances[i]]));
+  };
+
+  /////////////////////////////////////////////
+  // getAccount
+  //
+  // Plays the movements of one asset at one collateral
+  // provider over its opening balance, keeping the balance
+  // after each, and checks they come to the closing one.
+  /////////////////////////////////////////////
+  var getAccount = function(account, opening, closing, movements) {
+    const format = (amount) => ethers.utils.formatUnits(amount, account.decimals);
+    opening = ethers.BigNumber.from(opening || 0);
+    closing = ethers.BigNumber.from(closing || 0);
+
+    var balance = opening;
+    var entries = [];
+    for (const m of movements) {
+      balance = balance.add(m.amount);
+      entries.push({ type: m.type, block: m.block, timestamp: m.timestamp, tx: m.tx,
+        amount: format(m.amount), balance: format(balance) });
+    }
+
+    return {
+      provider:   account.provider,
+      arn:        account.arn,
+      asset:      account.asset,
+      decimals:   account.decimals,
+      opening:    format(opening),
+      closing:    format(closing),
+      reconciled: balance.eq(closing),
+      entries:    entries
+    };
+  };
+
+  /////////////////////////////////////////////
+  // findBlock
+  //
+  // Produces the first block at or after the timestamp,
+  // or one past the latest if there isn't one yet.
+  /////////////////////////////////////////////
+  var findBlock = async function(provider, timestamp) {
+    var low = 0;
+    var high = await provider.getBlockNumber() + 1;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if ((await provider.getBlock(middle)).timestamp < timestamp) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  };
+
+  return {
+    getMovements: getMovements,
+    getAccount: getAccount,
+    findBlock: findBlock,
+    /////////////////////////////////////////////
+    // build
+    //
+    // Produces the statement of the trust between the
+    // blocks, inclusive. The index has to cover the range.
+    /////////////////////////////////////////////
+    build: async function(context, trustId, fromBlock, toBlock) {
+      const { chainId, provider, index } = context;
+      if (fromBlock < index.getStartBlock() || toBlock > index.getBlock()) {
+        throw new Error('The index covers blocks ' + index.getStartBlock() + ' to ' + index.getBlock() +
+          ', not ' + fromBlock + ' to ' + toBlock + '.');
+      }
+
+      const client = await LocksmithClient.connect(provider);
+      const ledger = new ethers.Contract(client.contracts.Ledger.address, LEDGER_ABI, provider);
+      const assets = LocksmithRegistry.getAssetLookup(chainId, provider);
+      const allowance = LocksmithRegistry.getContractAddress(chainId, 'Allowance');
+      const vaults = ['EtherVault', 'TokenVault'].map((alias) => LocksmithRegistry.getContractAddress(chainId, alias))
+        .filter((address) => address).map((address) => ethers.utils.getAddress(address));
+
+      // there is nothing to open with before the ledger existed
+      const openingBlock = fromBlock - 1;
+      const hasOpening = openingBlock >= 0 && (await provider.getCode(ledger.address, openingBlock)) !== '0x';
+
+      const movements = index.query({ trustId: trustId, contract: 'Ledger', fromBlock: fromBlock, toBlock: toBlock })
+        .flatMap((record) => getMovements(record, allowance));
+
+      const trust = client.trust(trustId);
+      var statement = {
+        chainId: chainId,
+        trust:   (await trust.info()).name,
+        trustId: trust.id,
+        from:    { block: fromBlock, timestamp: (await provider.getBlock(fromBlock)).timestamp },
+        to:      { block: toBlock, timestamp: (await provider.getBlock(toBlock)).timestamp },
+        keys:    []
+      };
+
+      for (const key of await trust.keys()) {
+        const moved = movements.filter((m) => m.keyId === key.id.toString());
+        const providers = [...new Set([...vaults, ...moved.map((m) => m.provider)])];
+
+        var accounts = [];
+        for (const vault of providers) {
+          const opening = hasOpening ? await getBalances(ledger, key.id, vault, openingBlock) : {};
+          const closing = await getBalances(ledger, key.id, vault, toBlock);
+          const here = moved.filter((m) => m.provider === vault);
+          const arns = [...new Set([...Object.keys(opening), ...Object.keys(closing), ...here.map((m) => m.arn)])];
+
+          for (const arn of arns) {
+            const asset = await assets.discover(arn);
+            accounts.push(getAccount({ provider: vault, arn: arn, asset: assets.format(arn),
+              decimals: asset ? asset.decimals : 0 }, opening[arn], closing[arn], here.filter((m) => m.arn === arn)));
+          }
+        }
+        statement.keys.push({ keyId: key.id, key: (await key.inspect()).alias, accounts: accounts });
+      }
+      return statement;
+    },
+    /////////////////////////////////////////////
+    // toCsv
+    //
+    // Flattens the statement into rows: an opening row,
+    // each movement, and a closing row for every account.
+    /////////////////////////////////////////////
+    toCsv: function(statement) {
+      const quote = (value) => /[",\n]/.test('' + value) ? '"' + ('' + value).replace(/"/g, '""') + '"' : '' + value;
+      const time = (timestamp) => new Date(timestamp * 1000).toISOString();
+      var rows = [CSV_COLUMNS];
+      for (const key of statement.keys) {
+        for (const account of key.accounts) {
+          const prefix = [key.keyId, key.key, account.provider, account.asset, account.arn];
+          rows.push([...prefix, 'opening', statement.from.block, time(statement.from.timestamp), '', '', account.opening]);
+          for (const e of account.entries) {
+            rows.push([...prefix, e.type, e.block, time(e.timestamp), e.tx, e.amount, e.balance]);
+          }
+          rows.push([...prefix, account.reconciled ? 'closing' : 'closing (unreconciled)',
+            statement.to.block, time(statement.to.timestamp), '', '', account.closing]);
+        }
+      }
+      return rows.map((row) => row.map(quote).join(',')).join('\n') + '\n';
+    }
+  };
+})();
@@ -0,0 +1,208 @@
+const fs = require('fs');
+
+LocksmithThrottle = (function() {
+  /////////////////////////////////////////////
+  // THROTTLES
+  //
+  // Public RPCs rate limit genie long before it runs out of
+  // things to ask. Each network declares how many requests
+  // per second it will put up with, and every request to it
+  // waits for its turn instead of blocking the process.
+  // Entries are looked up by hardhat network name first,
+  // then by chain ID, and then fall back to the default.
+  //
+  // - rps:     requests per second, or 0 for no limit
+  // - retries: how many times to retry a rate limited or timed out request
+  // - backoff: the wait before the first retry in ms, doubling after each
+  // - batch:   the most eth_calls to send in one JSON-RPC batch, or 1 to not batch
+  // - window:  how long in ms an eth_call waits for others to batch with
+  /////////////////////////////////////////////
+  const THROTTLES = JSON.parse(
+    fs.readFileSync(__dirname + '/../registries/throttle.json'));
+
+  // sending these twice after a timeout could double spend
+  const SEND_METHODS = ['eth_sendTransaction', 'eth_sendRawTransaction'];
+
+  // ethers asks for the network before almost every request,
+  // and hardhat asks for the accounts with every contract
+  // factory, but the answers don't change while genie runs
+  const CONSTANT_METHODS = ['eth_chainId', 'net_version', 'eth_accounts'];
+
+  var sleep = function(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  };
+
+  var isRateLimited = function(err) {
+    return err.code === -32005 || err.status === 429 ||
+      /429|too many requests|rate limit|limit exceeded/i.test(err.message || '');
+  };
+
+  var isTimeout = function(err) {
+    return ['ETIMEDOUT', 'ECONNRESET', 'TIMEOUT'].includes(err.code) ||
+      /timeout|timed out|socket hang up/i.test(err.message || '');
+  };
+
+  /////////////////////////////////////////////
+  // createThrottle
+  //
+  // Produces a request function that paces, retries, and
+  // batches requests on their way to the given send
+  // functions. Requests are { method, params } objects.
+  /////////////////////////////////////////////
+  var createThrottle = function(config, sendOne, sendBatch) {
+    var nextTurn = 0;
+    var pending = [];
+    var constants = {};
+    var stats = { requests: 0, batched: 0, retries: 0 };
+
+    // waits until the request fits within the requests per second
+    var takeTurn = async function() {
+      if (!config.rps) {
+        return;
+      }
+      const now = Date.now();
+      const turn = Math.max(now, nextTurn);
+      nextTurn = turn + 1000 / config.rps;
+      await sleep(turn - now);
+    };
+
+    var withRetries = async function(method, send) {
+      for (var attempt = 0; ; attempt++) {
+        await takeTurn();
+        try {
+          stats.requests += 1;
+          return await send();
+        } catch (err) {
+          const retryable = isRateLimited(err) || (isTimeout(err) && !SEND_METHODS.includes(method));
+          if (!retryable || attempt >= config.retries) {
+            throw err;
+          }
+          stats.retries += 1;
+          await sleep(config.backoff * Math.pow(2, attempt));
+        }
+      }
+    };
+
+    var flush = async function() {
+      const calls = pending.splice(0, config.batch);
+      if (calls.length === 0) {
+        return;
+      }
+
+      try {
+        const results = calls.length === 1 ?
+          [await withRetries('eth_call', () => sendOne(calls[0].request))] :
+          await withRetries('eth_call', () => sendBatch(calls.map((c) => c.request)));
+        stats.batched += calls.length === 1 ? 0 : calls.length;
+        calls.forEach((c, i) => c.resolve(results[i]));
+      } catch (err) {
+        if (calls.length === 1) {
+          return calls[0].reject(err);
+        }
+        // a batch fails as a whole if any call in it reverts,
+        // so give each call its own answer
+        for (const c of calls) {
+          withRetries('eth_call', () => sendOne(c.request)).then(c.resolve, c.reject);
+        }
+      }
+    };
+
+    return {
+      config: config,
+      stats: stats,
+      request: function(request) {
+        if (CONSTANT_METHODS.includes(request.method)) {
+          constants[request.method] = constants[request.method] ||
+            withRetries(request.method, () => sendOne(request));
+          constants[request.method].catch(() => delete constants[request.method]);
+          return constants[request.method];
+        }
+        if (!sendBatch || config.batch <= 1 || request.method !== 'eth_call') {
+          return withRetries(request.method, () => sendOne(request));
+        }
+        return new Promise(function(resolve, reject) {
+          pending.push({ request, resolve, reject });
+          if (pending.length >= config.batch) {
+            flush();
+          } else if (pending.length === 1) {
+            setTimeout(flush, config.window);
+          }
+        });
+      }
+    };
+  };
+
+  var installed = null;
+
+  return {
+    createThrottle: createThrottle,
+    /////////////////////////////////////////////
+    // getThrottleConfig
+    //
+    // Produces the throttle config for the given network
+    // name and chain ID, from the throttle registry unless
+    // other entries are given.
+    /////////////////////////////////////////////
+    getThrottleConfig: function(networkName, chainId, throttles = THROTTLES) {
+      const config = {
+        ...throttles['default'],
+        ...(throttles[(chainId || '').toString()] || {}),
+        ...(throttles[networkName] || {})
+      };
+
+      for (const field of ['rps', 'retries', 'backoff', 'batch', 'window']) {
+        if (typeof config[field] !== 'number' || config[field] < 0) {
+          throw new Error('Invalid throttle ' + field + ' for ' + networkName + ': ' + config[field]);
+        }
+      }
+      return config;
+    },
+    /////////////////////////////////////////////
+    // install
+    //
+    // Puts the throttle in front of the HTTP connection
+    // underneath the hardhat network provider, so every
+    // request genie, ethers, and the plugins make goes
+    // through it. The in-process hardhat network has no
+    // connection, and isn't throttled. Produces the
+    // throttle, or null.
+    /////////////////////////////////////////////
+    install: async function() {
+      if (installed !== null) {
+        return installed;
+      }
+
+      // the provider chain is only built when it's first needed
+      var provider = hre.network.provider;
+      if (provider.init) {
+        await provider.init();
+      }
+      while (provider && !provider.sendBatch) {
+        provider = provider._wrappedProvider || provider._provider || provider.provider;
+      }
+      if (!provider) {
+        return null;
+      }
+
+      // only the in-process network is configured with a chain ID
+      const chainId = parseInt(await provider.request({ method: 'eth_chainId' }), 16);
+      const config = LocksmithThrottle.getThrottleConfig(hre.network.name, chainId);
+      installed = createThrottle(config, provider.request.bind(provider), provider.sendBatch.bind(provider));
+      provider.request = installed.request;
+      return installed;
+    },
+    /////////////////////////////////////////////
+    // wrap
+    //
+    // Throttles an ethers provider genie made for itself,
+    // with the config of the given network.
+    /////////////////////////////////////////////
+    wrap: function(provider, networkName, chainId) {
+      const send = provider.send.bind(provider);
+      const throttle = createThrottle(LocksmithThrottle.getThrottleConfig(networkName, chainId),
+        (request) => send(request.method, request.params));
+      provider.send = (method, params) => throttle.request({ method, params });
+      return provider;
+    }
+  };
+})();
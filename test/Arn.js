@@ -0,0 +1,141 @@
+//////////////////////////////////////////////////////////////
+/// Arn.js
+//
+//  Testing the JavaScript ARN library against the contracts,
+//  making sure the off-chain encodings and vault support
+//  agree with what is on chain.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+const LocksmithArn = require('../lib/arn.js');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("Arn", function () {
+  const deployment = fileFixture(TrustTestFixtures.deployedHardhat);
+
+  const encoder = async function() {
+    const ArnEncoder = await ethers.getContractFactory("ArnEncoder");
+    const contract = await ArnEncoder.deploy();
+    await contract.deployed();
+    return contract;
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Encoding
+  ////////////////////////////////////////////////////////////
+  describe("Encoding", function () {
+    it("Should encode every standard as AssetResourceName does", async function () {
+      const contract = await loadFixture(encoder);
+      const [, token] = await ethers.getSigners();
+
+      expect(LocksmithArn.encode(zero(), 0)).eql(await contract.arn(zero(), 0, 0));
+      expect(LocksmithArn.ETH).eql(await contract.arn(zero(), 0, 0));
+      for (const standard of [20, 777]) {
+        expect(LocksmithArn.encode(token.address, standard)).eql(await contract.arn(token.address, standard, 0));
+      }
+      for (const standard of [721, 1155]) {
+        for (const id of [0, 1, 42, '115792089237316195423570985008687907853269984665640564039457584007913129639935']) {
+          expect(LocksmithArn.encode(token.address, standard, id)).eql(await contract.arn(token.address, standard, id));
+        }
+      }
+    });
+
+    it("Should agree with the test helpers", async function () {
+      const [, token] = await ethers.getSigners();
+      expect(ethArn()).eql(LocksmithArn.ETH);
+      expect(tokenArn(token.address)).eql(LocksmithArn.encode(token.address, 20));
+    });
+
+    it("Should reject assets the contracts wouldn't hold", async function () {
+      const [, token] = await ethers.getSigners();
+      expect(() => LocksmithArn.encode(token.address, 1337)).to.throw('Unsupported token standard: 1337');
+      expect(() => LocksmithArn.encode(token.address, 20, 1)).to.throw('Fungible tokens don\'t have IDs: 1');
+      expect(() => LocksmithArn.encode(token.address, 0)).to.throw('Only the gas token lives at the zero address');
+      expect(() => LocksmithArn.encode(zero(), 20)).to.throw('Only the gas token lives at the zero address');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Lookup
+  ////////////////////////////////////////////////////////////
+  describe("Lookup", function () {
+    it("Should resolve and format registered assets", async function () {
+      const { matic } = await loadFixture(deployment);
+      const assets = LocksmithArn.createLookup({ MATIC: { address: matic.address, decimals: 18 } });
+
+      expect(assets.resolve(tokenArn(matic.address)).contractAddress).eql(matic.address);
+      expect(assets.resolve(tokenArn(matic.address).toUpperCase().replace('0X', '0x')).name).eql('MATIC');
+      expect(assets.format(ethArn(), eth(1.5))).eql('1.5 ETH');
+      expect(assets.format(tokenArn(matic.address), eth(305))).eql('305.0 MATIC');
+      expect(assets.resolve(stb('nothing'))).eql(null);
+      expect(assets.format(stb('nothing'), 7)).eql('7 ' + LocksmithArn.shorten(stb('nothing')));
+    });
+
+    it("Should only discover through the token vault when given a provider", async function () {
+      const { tokenVault, dai } = await loadFixture(deployment);
+      const arn = tokenArn(dai.address);
+
+      expect(await LocksmithArn.createLookup().discover(arn)).eql(null);
+      const asset = await LocksmithArn.createLookup({}, { provider: ethers.provider, tokenVault: tokenVault.address })
+        .discover(arn);
+      expect(asset.contractAddress).eql(dai.address);
+      expect(asset.tokenStandard).eql(20);
+      expect(asset.name).eql(await dai.symbol());
+      expect(asset.decimals).eql(await dai.decimals());
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Vault support
+  ////////////////////////////////////////////////////////////
+  describe("Vault support", function () {
+    it("Should send the gas token to the ether vault", async function () {
+      const { vault, ledger } = await loadFixture(deployment);
+      const assets = LocksmithArn.createLookup();
+
+      expect(await vault.ethArn()).eql(LocksmithArn.ETH);
+      expect(await ledger.getContextArnRegistry(LEDGER(), 0, vault.address)).eql([LocksmithArn.ETH]);
+      expect(assets.getSupportingVaults(await vault.ethArn())).eql(['EtherVault']);
+      expect(assets.isSupported(LocksmithArn.ETH, 'EtherVault')).eql(true);
+      expect(assets.isSupported(LocksmithArn.ETH, 'TokenVault')).eql(false);
+    });
+
+    it("Should send tokens to the token vault", async function () {
+      const { tokenVault, ledger, coin, matic, avax, grt, dai, usdc } =
+        await loadFixture(deployment);
+      const tokens = { COIN: coin, MATIC: matic, AVAX: avax, GRT: grt, DAI: dai, USDC: usdc };
+      const assets = LocksmithArn.createLookup(Object.fromEntries(
+        Object.entries(tokens).map(([alias, token]) => [alias, { address: token.address }])));
+
+      const arns = await ledger.getContextArnRegistry(LEDGER(), 0, tokenVault.address);
+      expect(arns).to.have.members(Object.values(tokens).map((token) => tokenArn(token.address)));
+      for (const arn of arns) {
+        expect(LocksmithArn.encode(await tokenVault.arnContracts(arn), 20)).eql(arn);
+        expect(assets.getSupportingVaults(arn)).eql(['TokenVault']);
+        expect(assets.isSupported(arn, 'EtherVault')).eql(false);
+      }
+    });
+
+    it("Should not send non-fungible tokens to either vault", async function () {
+      const [, token] = await ethers.getSigners();
+      const assets = LocksmithArn.createLookup({
+        Punk: { address: token.address, standard: 721, id: '7' },
+        Item: { address: token.address, standard: 1155, id: '3' },
+        Gold: { address: token.address, standard: 777 }
+      });
+
+      expect(assets.getSupportingVaults(LocksmithArn.encode(token.address, 721, 7))).eql([]);
+      expect(assets.getSupportingVaults(LocksmithArn.encode(token.address, 1155, 3))).eql([]);
+      expect(assets.getSupportingVaults(LocksmithArn.encode(token.address, 777))).eql([]);
+      expect(assets.getSupportingVaults(stb('nothing'))).eql([]);
+    });
+  });
+});
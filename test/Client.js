@@ -0,0 +1,152 @@
+//////////////////////////////////////////////////////////////
+/// Client.js
+//
+//  Testing the JavaScript client against a deployment,
+//  making sure the named results match the raw tuples.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+const LocksmithClient = require('../lib/client.js');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("Client", function () {
+  const deployment = fileFixture(TrustTestFixtures.deployedHardhat);
+
+  const connect = async function(fixture) {
+    return await LocksmithClient.connect(ethers.provider, {
+      addresses: {
+        Locksmith:     fixture.locksmith.address,
+        KeyVault:      fixture.keyVault.address,
+        Notary:        fixture.notary.address,
+        Ledger:        fixture.ledger.address,
+        TrustEventLog: fixture.events.address
+      }
+    });
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Keys
+  ////////////////////////////////////////////////////////////
+  describe("Keys", function () {
+    it("Should inspect keys into named results", async function () {
+      const fixture = await loadFixture(deployment);
+      const client = await connect(fixture);
+
+      for (const keyId of [0, 4, 7, 8, 9]) {
+        const [valid, alias, trustId, isRoot, keys] = await fixture.locksmith.inspectKey(keyId);
+        expect(await client.key(keyId).inspect()).eql({
+          valid:   valid,
+          alias:   LocksmithClient.decodeAlias(alias),
+          trustId: trustId.toNumber(),
+          isRoot:  isRoot,
+          keys:    keys.map((k) => k.toNumber())
+        });
+      }
+
+      const root = await client.key(0).inspect();
+      expect(root.alias).eql('Master Key');
+      expect(root.isRoot).eql(true);
+      expect((await client.key(4).inspect()).alias).eql('Testing Four');
+      expect((await client.key(9).inspect()).trustId).eql(1);
+    });
+
+    it("Should report keys that don't exist as invalid", async function () {
+      const fixture = await loadFixture(deployment);
+      const client = await connect(fixture);
+      const key = await client.key(99).inspect();
+      expect(key.valid).eql(false);
+      expect(key.alias).eql('');
+      expect(key.isRoot).eql(false);
+    });
+
+    it("Should find the keys held by an address", async function () {
+      const fixture = await loadFixture(deployment);
+      const client = await connect(fixture);
+
+      const held = (await client.keysHeldBy(fixture.second.address)).map((k) => k.id);
+      expect(held).eql((await fixture.keyVault.getKeys(fixture.second.address)).map((k) => k.toNumber()));
+      expect(await client.key(held[0]).isHeldBy(fixture.second.address)).eql(true);
+      expect(await client.key(0).isHeldBy(fixture.second.address)).eql(false);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Trusts
+  ////////////////////////////////////////////////////////////
+  describe("Trusts", function () {
+    it("Should read trust info and keys", async function () {
+      const fixture = await loadFixture(deployment);
+      const client = await connect(fixture);
+
+      const trust = client.trust(0);
+      const [id, name, rootKeyId, keyCount] = await fixture.locksmith.getTrustInfo(0);
+      expect(await trust.info()).eql({
+        id:        id.toNumber(),
+        name:      'Conner Trust',
+        rootKeyId: rootKeyId.toNumber(),
+        keyCount:  keyCount.toNumber()
+      });
+      expect(LocksmithClient.decodeAlias(name)).eql('Conner Trust');
+      expect((await trust.keys()).map((k) => k.id))
+        .eql((await fixture.locksmith.getKeys(0)).map((k) => k.toNumber()));
+      expect((await trust.rootKey()).id).eql(0);
+    });
+
+    it("Should read balance sheets", async function () {
+      const fixture = await loadFixture(deployment);
+      const client = await connect(fixture);
+
+      const [arns, balances] = await fixture.ledger.getContextBalanceSheet(2, 1, zero());
+      const sheet = await client.key(1).balanceSheet();
+      expect(sheet.map((s) => s.arn)).eql(arns);
+      expect(sheet.map((s) => s.balance.toString())).eql(balances.map((b) => b.toString()));
+      expect(sheet.find((s) => s.arn === ethArn()).balance).eql(eth(7.2));
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Notary
+  ////////////////////////////////////////////////////////////
+  describe("Notary", function () {
+    it("Should list trusted actors with their aliases", async function () {
+      const fixture = await loadFixture(deployment);
+      const client = await connect(fixture);
+
+      expect(await client.notary.trustedActors(1, 'collateral-provider')).eql([
+        { address: fixture.vault.address,      alias: 'Ether Vault' },
+        { address: fixture.tokenVault.address, alias: 'Token Vault' }
+      ]);
+      expect(await client.trust(1).trustedActors(0)).eql(
+        await client.notary.trustedActors(1, 'collateral-provider'));
+
+      const scribes = await client.notary.trustedActors(0, 'scribe');
+      expect(scribes.map((s) => s.address))
+        .eql(await fixture.notary.getTrustedActors(fixture.ledger.address, 0, 1));
+      expect(scribes.find((s) => s.address === fixture.third.address).alias).eql('Coinbase');
+    });
+
+    it("Should ask the event log about dispatchers", async function () {
+      const fixture = await loadFixture(deployment);
+      const client = await connect(fixture);
+
+      const dispatchers = await client.notary.trustedActors(0, 'dispatcher');
+      expect(dispatchers.map((d) => d.address))
+        .eql(await fixture.notary.getTrustedActors(fixture.events.address, 0, 2));
+      expect(dispatchers.map((d) => d.alias)).to.include('key-oracle');
+    });
+
+    it("Should reject unknown roles", async function () {
+      const fixture = await loadFixture(deployment);
+      const client = await connect(fixture);
+      await expect(client.notary.trustedActors(0, 'janitor')).to.be.rejectedWith('Unknown notary role: janitor');
+    });
+  });
+});
@@ -0,0 +1,342 @@
+//////////////////////////////////////////////////////////////
+/// Genie.js
+//
+//  Testing the parts of genie that don't need a deployed
+//  registry or a network to make their decisions.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+require('./TrustTestUtils.js');        // custom helpers
+const genie = require('../tasks/genie.js');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("Genie", function () {
+  ////////////////////////////////////////////////////////////
+  // Deployment Order
+  //
+  // Blast derives the order it deploys contracts in from
+  // their #initialize parameters.
+  ////////////////////////////////////////////////////////////
+  describe("Deployment order", function () {
+    it("Should order the manifest after every initialization dependency", async function () {
+      const aliases = LocksmithRegistry.getContractList().concat(LocksmithRegistry.getImplementationList());
+      const order = await genie.getDeploymentOrder(aliases);
+
+      expect(order).to.have.members(aliases);
+      for (const alias of order) {
+        for (const dependency of await genie.getInitializationAliases(alias)) {
+          expect(order.indexOf(dependency)).to.be.lessThan(order.indexOf(alias));
+        }
+      }
+    });
+
+    it("Should read initialization aliases from the ABI", async function () {
+      expect(await genie.getInitializationAliases('Locksmith')).eql(['KeyVault']);
+      expect(await genie.getInitializationAliases('Ledger')).eql(['Notary']);
+      expect(await genie.getInitializationAliases('VirtualKeyAddress')).eql([]);
+    });
+
+    it("Should order synthetic dependencies", async function () {
+      const graph = { A: ['B', 'C'], B: ['C'], C: [] };
+      expect(await genie.getDeploymentOrder(['A', 'B', 'C'], async (a) => graph[a])).eql(['C', 'B', 'A']);
+    });
+
+    it("Should throw on a dependency cycle", async function () {
+      const graph = { A: ['B'], B: ['C'], C: ['A'] };
+      await expect(genie.getDeploymentOrder(['A', 'B', 'C'], async (a) => graph[a]))
+        .to.be.rejectedWith('Dependency cycle detected: A -> B -> C -> A');
+    });
+
+    it("Should throw on an unknown initialization alias", async function () {
+      const graph = { A: ['Mystery'] };
+      await expect(genie.getDeploymentOrder(['A'], async (a) => graph[a]))
+        .to.be.rejectedWith('Unknown alias "Mystery" is an initialization dependency of A');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Deployment Plan
+  //
+  // Each alias in the order is compared against the registry
+  // and the local build to decide what blast does with it.
+  ////////////////////////////////////////////////////////////
+  describe("Deployment plan", function () {
+    const local = ethers.utils.keccak256('0x01');
+    const stale = ethers.utils.keccak256('0x02');
+    const address = '0x0000000000000000000000000000000000000001';
+
+    it("Should deploy what isn't in the registry", async function () {
+      expect(genie.getDeploymentAction({ address: null, codeHash: null }, local, false, false)).eql('deploy');
+      expect(genie.getDeploymentAction({ address: null, codeHash: null }, local, true, true)).eql('deploy');
+    });
+
+    it("Should leave what matches the local build", async function () {
+      expect(genie.getDeploymentAction({ address, codeHash: local }, local, false, true)).eql('current');
+      expect(genie.getDeploymentAction({ address, codeHash: local }, local, true, false)).eql('current');
+    });
+
+    it("Should upgrade stale proxies only when upgrades are allowed", async function () {
+      expect(genie.getDeploymentAction({ address, codeHash: stale }, local, false, true)).eql('upgrade');
+      expect(genie.getDeploymentAction({ address, codeHash: stale }, local, false, false)).eql('stale');
+    });
+
+    it("Should redeploy stale implementations", async function () {
+      expect(genie.getDeploymentAction({ address, codeHash: stale }, local, true, true)).eql('redeploy');
+      expect(genie.getDeploymentAction({ address, codeHash: stale }, local, true, false)).eql('redeploy');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Cost Estimation
+  //
+  // A fresh chain has nothing for a proxy to point at yet,
+  // so the estimate has to stand the implementation up at
+  // its predicted address without leaving it there.
+  ////////////////////////////////////////////////////////////
+  describe("Cost estimation", function () {
+    it("Should estimate a proxy against a predicted implementation", async function () {
+      const [owner] = await ethers.getSigners();
+      const predicted = ethers.utils.getContractAddress({
+        from:  owner.address,
+        nonce: (await owner.getTransactionCount()) + 100
+      });
+      expect(await ethers.provider.getCode(predicted)).eql('0x');
+
+      const gas = await genie.estimateProxyGas(owner, 'Locksmith', predicted);
+      expect(gas.gt(100000)).eql(true);
+      expect(gas.lt(250000)).eql(true);
+      expect(await ethers.provider.getCode(predicted)).eql('0x');
+    });
+
+    it("Should estimate a proxy against a real implementation", async function () {
+      const { locksmith, owner } = await TrustTestFixtures.freshLocksmithProxy();
+      const implementation = await upgrades.erc1967.getImplementationAddress(locksmith.address);
+      const gas = await genie.estimateProxyGas(owner, 'Locksmith', implementation);
+      expect(gas.gt(100000)).eql(true);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Signer Config
+  //
+  // Entries are found by network name, then chain ID, and
+  // then the default, and have to make sense once merged.
+  ////////////////////////////////////////////////////////////
+  describe("Signer config", function () {
+    const signers = {
+      default: { strategy: 'hardhat', transactions: 'legacy' },
+      '5':     { strategy: 'env', key: 'CHAIN_KEY', transactions: 'eip1559' },
+      goerli:  { key: 'NAMED_KEY' },
+      broken:  { strategy: 'carrier-pigeon' },
+      stingy:  { transactions: 'free' }
+    };
+
+    it("Should fall back to the default", async function () {
+      expect(LocksmithSigner.getSignerConfig('localhost', 31337, signers))
+        .eql({ strategy: 'hardhat', transactions: 'legacy' });
+    });
+
+    it("Should prefer the chain ID over the default", async function () {
+      expect(LocksmithSigner.getSignerConfig('unnamed', 5, signers))
+        .eql({ strategy: 'env', key: 'CHAIN_KEY', transactions: 'eip1559' });
+    });
+
+    it("Should prefer the network name over the chain ID", async function () {
+      expect(LocksmithSigner.getSignerConfig('goerli', 5, signers))
+        .eql({ strategy: 'env', key: 'NAMED_KEY', transactions: 'eip1559' });
+    });
+
+    it("Should reject unknown strategies and transaction policies", async function () {
+      expect(() => LocksmithSigner.getSignerConfig('broken', 1, signers))
+        .to.throw('Unknown signer strategy for broken: carrier-pigeon');
+      expect(() => LocksmithSigner.getSignerConfig('stingy', 1, signers))
+        .to.throw('Unknown transaction policy for stingy: free');
+    });
+
+    it("Should read the signers registry", async function () {
+      expect(LocksmithSigner.getSignerConfig('hardhat', 31337).strategy).eql('hardhat');
+      expect(LocksmithSigner.getSignerConfig('base', 8453).strategy).eql('ledger');
+      expect(LocksmithSigner.getSignerConfig('filecoin', 314).key).eql('MY_FILECOIN_KEY');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Storage Layouts
+  //
+  // Before an upgrade, genie prints what changed between the
+  // snapshot and the local build.
+  ////////////////////////////////////////////////////////////
+  describe("Storage layouts", function () {
+    const layout = function(storage) {
+      return {
+        storage: storage.map(([label, slot, offset, type]) =>
+          ({ contract: 'Vault', label, slot: '' + slot, offset, type })),
+        types: {
+          t_address: { label: 'address' },
+          t_uint256: { label: 'uint256' },
+          t_bool:    { label: 'bool' }
+        }
+      };
+    };
+    const snapshot = layout([
+      ['owner',   0, 0, 't_address'],
+      ['paused',  0, 20, 't_bool'],
+      ['balance', 1, 0, 't_uint256'],
+      ['legacy',  2, 0, 't_uint256']
+    ]);
+
+    it("Should find nothing between identical layouts", async function () {
+      expect(genie.diffStorageLayouts(snapshot, snapshot)).eql([]);
+    });
+
+    it("Should describe removed, moved, retyped, and added variables", async function () {
+      const local = layout([
+        ['owner',   0, 0, 't_address'],
+        ['paused',  1, 0, 't_bool'],
+        ['balance', 2, 0, 't_address'],
+        ['limit',   3, 0, 't_uint256']
+      ]);
+      expect(genie.diffStorageLayouts(snapshot, local)).eql([
+        { kind: 'moved',   label: 'Vault.paused',  description: 'slot 0:20 -> 1:0' },
+        { kind: 'moved',   label: 'Vault.balance', description: 'slot 1:0 -> 2:0' },
+        { kind: 'retyped', label: 'Vault.balance', description: 'uint256 -> address' },
+        { kind: 'removed', label: 'Vault.legacy',  description: 'uint256 at slot 2' },
+        { kind: 'added',   label: 'Vault.limit',   description: 'uint256 at slot 3' }
+      ]);
+    });
+
+    it("Should read the local layout from the build", async function () {
+      const local = await genie.getLocalStorageLayout('Locksmith', await ethers.getContractFactory('Locksmith'));
+      const keyVault = local.storage.find((item) => item.label === 'keyVault');
+      expect(keyVault.contract).eql('Locksmith');
+      expect(genie.diffStorageLayouts(local, local)).eql([]);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Throttle
+  //
+  // Requests to public RPCs are paced, retried when rate
+  // limited, and batched, without the callers knowing.
+  ////////////////////////////////////////////////////////////
+  describe("Throttle", function () {
+    const config = { rps: 0, retries: 2, backoff: 1, batch: 1, window: 1 };
+    const rateLimited = function() {
+      return Object.assign(new Error('Too Many Requests'), { status: 429 });
+    };
+
+    it("Should prefer the network name, then the chain ID, then the default", async function () {
+      const throttles = {
+        default: { rps: 10, retries: 5, backoff: 500, batch: 20, window: 10 },
+        '314':   { rps: 2 },
+        local:   { rps: 0, batch: 1 }
+      };
+      expect(LocksmithThrottle.getThrottleConfig('filecoin', 314, throttles).rps).eql(2);
+      expect(LocksmithThrottle.getThrottleConfig('local', 314, throttles)).eql(
+        { rps: 0, retries: 5, backoff: 500, batch: 1, window: 10 });
+      expect(LocksmithThrottle.getThrottleConfig('other', 1, throttles).rps).eql(10);
+      expect(() => LocksmithThrottle.getThrottleConfig('bad', 1, { default: { rps: -1 } }))
+        .to.throw('Invalid throttle rps for bad: -1');
+    });
+
+    it("Should pace requests to the requests per second", async function () {
+      const throttle = LocksmithThrottle.createThrottle({ ...config, rps: 50 }, async (r) => r.method);
+      const start = Date.now();
+      await Promise.all([1, 2, 3, 4, 5].map(() => throttle.request({ method: 'eth_blockNumber' })));
+      expect(Date.now() - start).to.be.at.least(75);
+      expect(throttle.stats.requests).eql(5);
+    });
+
+    it("Should retry rate limited requests until it runs out of retries", async function () {
+      var failures = 2;
+      const flaky = LocksmithThrottle.createThrottle(config, async () => {
+        if (failures-- > 0) {
+          throw rateLimited();
+        }
+        return '0x1';
+      });
+      expect(await flaky.request({ method: 'eth_blockNumber' })).eql('0x1');
+      expect(flaky.stats.retries).eql(2);
+
+      const limited = LocksmithThrottle.createThrottle(config, async () => { throw rateLimited(); });
+      await expect(limited.request({ method: 'eth_blockNumber' })).to.be.rejectedWith('Too Many Requests');
+      expect(limited.stats.requests).eql(3);
+    });
+
+    it("Should not retry sends that timed out, or other errors", async function () {
+      var sent = 0;
+      const throttle = LocksmithThrottle.createThrottle(config, async (r) => {
+        sent += 1;
+        throw new Error(r.method === 'eth_call' ? 'execution reverted' : 'request timed out');
+      });
+      await expect(throttle.request({ method: 'eth_sendRawTransaction' })).to.be.rejectedWith('timed out');
+      await expect(throttle.request({ method: 'eth_call' })).to.be.rejectedWith('execution reverted');
+      expect(sent).eql(2);
+      expect(throttle.stats.retries).eql(0);
+    });
+
+    it("Should batch calls, and answer each one when a batch fails", async function () {
+      var batches = [];
+      const sendOne = async (r) => r.params[0] === 'revert' ? Promise.reject(new Error('reverted')) : r.params[0];
+      const sendBatch = async (requests) => {
+        batches.push(requests.length);
+        if (requests.some((r) => r.params[0] === 'revert')) {
+          throw new Error('reverted');
+        }
+        return requests.map((r) => r.params[0]);
+      };
+      const throttle = LocksmithThrottle.createThrottle({ ...config, batch: 3 }, sendOne, sendBatch);
+      const call = (value) => throttle.request({ method: 'eth_call', params: [value] });
+
+      expect(await Promise.all([call('a'), call('b'), call('c')])).eql(['a', 'b', 'c']);
+      expect(throttle.stats.batched).eql(3);
+
+      const results = await Promise.allSettled([call('d'), call('revert')]);
+      expect(results.map((r) => r.status)).eql(['fulfilled', 'rejected']);
+      expect(results[0].value).eql('d');
+      expect(batches).eql([3, 2]);
+    });
+
+    it("Should only ask for constants once", async function () {
+      var asked = 0;
+      const throttle = LocksmithThrottle.createThrottle(config, async () => { asked += 1; return '0x7a69'; });
+      await throttle.request({ method: 'eth_chainId' });
+      expect(await throttle.request({ method: 'eth_chainId' })).eql('0x7a69');
+      expect(asked).eql(1);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Reconciliation
+  ////////////////////////////////////////////////////////////
+  describe("Reconciliation", function () {
+    it("Should balance when custody matches the ledger", async function () {
+      expect(genie.getReconciliation(eth(17), eth(17), 18)).eql({
+        ledger: '17.0', custody: '17.0', difference: '0.0', status: 'balanced'
+      });
+    });
+
+    it("Should find a surplus when the vault holds more than the ledger", async function () {
+      expect(genie.getReconciliation(eth(2), eth(2.5), 18)).eql({
+        ledger: '2.0', custody: '2.5', difference: '0.5', status: 'surplus'
+      });
+    });
+
+    it("Should find a deficit when the vault holds less than the ledger", async function () {
+      expect(genie.getReconciliation(2500000, 1000000, 6)).eql({
+        ledger: '2.5', custody: '1.0', difference: '-1.5', status: 'deficit'
+      });
+      expect(genie.getReconciliation(1, 0, 18).status).eql('deficit');
+    });
+
+    it("Should leave amounts of unknown decimals raw", async function () {
+      expect(genie.getReconciliation(ethers.BigNumber.from(5), ethers.BigNumber.from(12))).eql({
+        ledger: '5', custody: '12', difference: '7', status: 'surplus'
+      });
+    });
+  });
+});
@@ -0,0 +1,971 @@
+//////////////////////////////////////////////////////////////
+/// GenieTasks.js
+//
+//  Testing genie's tasks end to end against the hardhat
+//  network, each on a temporary registry.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/registry.js');
+const { createExplorer } = require('../scripts/explorer.js');
+const { subtask } = require('hardhat/config');
+const { MockAgent, getGlobalDispatcher, setGlobalDispatcher } = require('undici');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("Genie tasks", function () {
+  const CHAIN_ID = 31337;
+  var directory, previous;
+
+  // runs a task without its console output, which is
+  // handed back alongside the result instead
+  const runQuietly = async function(name, args = {}) {
+    const { log, info } = console;
+    var output = [];
+    console.log = console.info = (...line) => output.push(util.format(...line));
+    try {
+      return { result: await hre.run(name, args), output: output.join('\n') };
+    } finally {
+      Object.assign(console, { log, info });
+    }
+  };
+
+  // a key vault proxy from a previous build, with the same
+  // storage, as if it had been deployed before the local one
+  const deployPreviousBuild = async function() {
+    const [owner] = await ethers.getSigners();
+    const previousBuild = await ethers.getContractFactory('StubKeyVault');
+    const keyVault = await upgrades.deployProxy(previousBuild, [], { kind: 'uups' });
+    await keyVault.deployed();
+
+    const implementation = await upgrades.erc1967.getImplementationAddress(keyVault.address);
+    const codeHash = ethers.utils.keccak256(previousBuild.bytecode);
+    LocksmithRegistry.saveContractDeployment(CHAIN_ID, 'KeyVault', {
+      address:        keyVault.address,
+      implementation: implementation,
+      codeHash:       codeHash,
+      deployer:       owner.address,
+      txHash:         keyVault.deployTransaction.hash
+    });
+    return { keyVault, implementation, codeHash };
+  };
+
+  const deployKeyVaultAndLocksmith = async function() {
+    for (const alias of ['KeyVault', 'Locksmith']) {
+      expect((await runQuietly('deploy', { contract: alias })).result).not.to.eql(1);
+    }
+    const keyVault = (await ethers.getContractFactory('KeyVault'))
+      .attach(LocksmithRegistry.getContractAddress(CHAIN_ID, 'KeyVault'));
+    return { keyVault, locksmith: LocksmithRegistry.getContractAddress(CHAIN_ID, 'Locksmith') };
+  };
+
+  // the hardhat network, served over HTTP to whatever forks
+  // or queries it like a remote chain
+  const serveNetwork = async function() {
+    const server = http.createServer(function(req, res) {
+      var body = '';
+      req.on('data', (chunk) => body += chunk);
+      req.on('end', async function() {
+        const payload = JSON.parse(body);
+        var responses = [];
+        for (const request of [payload].flat()) {
+          var response = { jsonrpc: '2.0', id: request.id };
+          try {
+            response.result = await network.provider.send(request.method, request.params || []);
+          } catch (err) {
+            response.error = { code: -32000, message: err.message };
+          }
+          responses.push(response);
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(Array.isArray(payload) ? responses : responses[0]));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return {
+      url: 'http://127.0.0.1:' + server.address().port,
+      close: async function() {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+      }
+    };
+  };
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'genie-tasks-'));
+    for (const registryType of ['contracts', 'implementations']) {
+      fs.writeFileSync(path.join(directory, 'network-' + registryType + '-' + CHAIN_ID + '.json'), '{}');
+    }
+    previous = LocksmithRegistry.configure({ directory: directory });
+  });
+
+  afterEach(function () {
+    LocksmithRegistry.configure(previous);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Rollback
+  //
+  // A proxy deployed from a previous build is upgraded to the
+  // local one, and rolled back to what the registry recorded.
+  ////////////////////////////////////////////////////////////
+  describe("Rollback", function () {
+    it("Should put the proxy back on the recorded implementation", async function () {
+      const { keyVault, implementation, codeHash } = await deployPreviousBuild();
+
+      expect((await runQuietly('deploy', { contract: 'KeyVault', upgrade: true })).result).not.to.eql(1);
+      const upgraded = await upgrades.erc1967.getImplementationAddress(keyVault.address);
+      expect(upgraded).not.to.eql(implementation);
+      expect(LocksmithRegistry.getContractEntry(CHAIN_ID, 'KeyVault').implementation).eql(upgraded);
+
+      expect((await runQuietly('rollback', { contract: 'KeyVault', target: codeHash })).result).not.to.eql(1);
+      expect(await upgrades.erc1967.getImplementationAddress(keyVault.address)).eql(implementation);
+
+      const entry = LocksmithRegistry.getContractEntry(CHAIN_ID, 'KeyVault');
+      expect(entry.address).eql(keyVault.address);
+      expect(entry.implementation).eql(implementation);
+      expect(entry.codeHash).eql(codeHash);
+
+      // the upgrade being rolled back is kept in the history
+      const history = LocksmithRegistry.getContractHistory(CHAIN_ID, 'KeyVault');
+      expect(history.map((h) => h.implementation)).eql([implementation, upgraded]);
+      expect(history[1].codeHash).eql(ethers.utils.keccak256((await ethers.getContractFactory('KeyVault')).bytecode));
+    });
+
+    it("Should find the target by implementation address, and leave dry runs alone", async function () {
+      const { keyVault, implementation } = await deployPreviousBuild();
+      await runQuietly('deploy', { contract: 'KeyVault', upgrade: true });
+      const upgraded = await upgrades.erc1967.getImplementationAddress(keyVault.address);
+
+      const dry = await runQuietly('rollback', { contract: 'KeyVault', target: implementation.toLowerCase(), dry: true });
+      expect(dry.result).eql(0);
+      expect(dry.output).to.include('The target storage layout is compatible.');
+      expect(await upgrades.erc1967.getImplementationAddress(keyVault.address)).eql(upgraded);
+      expect(LocksmithRegistry.getContractHistory(CHAIN_ID, 'KeyVault').length).eql(1);
+    });
+
+    it("Should refuse targets that aren't recorded or are already current", async function () {
+      const { keyVault } = await deployPreviousBuild();
+      await runQuietly('deploy', { contract: 'KeyVault', upgrade: true });
+      const upgraded = await upgrades.erc1967.getImplementationAddress(keyVault.address);
+
+      const unknown = await runQuietly('rollback', { contract: 'KeyVault', target: ethers.utils.keccak256('0x01') });
+      expect(unknown.result).eql(1);
+      expect(unknown.output).to.include('The target isn\'t in the registry history, and isn\'t an address.');
+
+      const current = await runQuietly('rollback', { contract: 'KeyVault', target: upgraded });
+      expect(current.result).eql(1);
+      expect(current.output).to.include('The target is already the current implementation');
+      expect(await upgrades.erc1967.getImplementationAddress(keyVault.address)).eql(upgraded);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Wiring
+  ////////////////////////////////////////////////////////////
+  describe("Wiring", function () {
+    it("Should only call the setters of what is miswired", async function () {
+      const { keyVault, locksmith } = await deployKeyVaultAndLocksmith();
+      const [, stranger] = await ethers.getSigners();
+      await keyVault.setRespectedLocksmith(stranger.address);
+
+      const block = await ethers.provider.getBlockNumber();
+      const wired = await runQuietly('wire');
+      expect(wired.result).eql(0);
+      expect(wired.output).to.include('[fixable] KeyVault.locksmith() => Locksmith');
+      expect(wired.output).to.include('[wired] Locksmith.keyVault() => KeyVault');
+      expect(wired.output).to.include('[missing] Notary.locksmith() => Locksmith');
+      expect(await keyVault.locksmith()).eql(locksmith);
+
+      // one transaction, to the key vault's setter
+      expect(await ethers.provider.getBlockNumber()).eql(block + 1);
+      const [txHash] = (await ethers.provider.getBlock(block + 1)).transactions;
+      const tx = await ethers.provider.getTransaction(txHash);
+      expect(tx.to).eql(keyVault.address);
+      expect(keyVault.interface.parseTransaction(tx).name).eql('setRespectedLocksmith');
+      expect(keyVault.interface.parseTransaction(tx).args).eql([locksmith]);
+    });
+
+    it("Should change nothing the second time", async function () {
+      const { keyVault, locksmith } = await deployKeyVaultAndLocksmith();
+      await runQuietly('wire');
+
+      const block = await ethers.provider.getBlockNumber();
+      const again = await runQuietly('wire');
+      expect(again.result).eql(0);
+      expect(again.output).to.include('There is nothing to wire.');
+      expect(await ethers.provider.getBlockNumber()).eql(block);
+      expect(await keyVault.locksmith()).eql(locksmith);
+    });
+
+    it("Should only print the differences on dry runs", async function () {
+      const { keyVault } = await deployKeyVaultAndLocksmith();
+
+      const dry = await runQuietly('wire', { contract: 'KeyVault', dry: true });
+      expect(dry.result).eql(0);
+      expect(dry.output).to.include('[fixable] KeyVault.locksmith() => Locksmith (expected ' +
+        LocksmithRegistry.getContractAddress(CHAIN_ID, 'Locksmith') + ', found ' + zero() + ')');
+      expect(dry.output).not.to.include('Locksmith.keyVault()');
+      expect(await keyVault.locksmith()).eql(zero());
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Audit
+  //
+  // Drift has to fail the process, so the task can gate CI.
+  ////////////////////////////////////////////////////////////
+  describe("Audit", function () {
+    var exitCode;
+
+    beforeEach(async function () {
+      exitCode = process.exitCode;
+      await deployKeyVaultAndLocksmith();
+      await runQuietly('wire');
+    });
+
+    afterEach(function () {
+      process.exitCode = exitCode;
+    });
+
+    const getResult = (report, alias) => report.contracts.find((c) => c.alias === alias);
+
+    it("Should pass what matches the registry", async function () {
+      const [owner] = await ethers.getSigners();
+      const { result: report } = await runQuietly('audit');
+
+      expect(report.drift).eql(false);
+      expect(report.admin).eql(owner.address);
+      expect(getResult(report, 'KeyVault').status).eql('ok');
+      expect(getResult(report, 'Locksmith').checks.owner).eql(
+        { status: 'ok', expected: owner.address, actual: owner.address });
+      expect(getResult(report, 'Notary').status).eql('missing');
+      expect(process.exitCode).eql(exitCode);
+    });
+
+    it("Should fail on drift, and report it", async function () {
+      const [owner, stranger] = await ethers.getSigners();
+      const keyVault = (await ethers.getContractFactory('KeyVault'))
+        .attach(LocksmithRegistry.getContractAddress(CHAIN_ID, 'KeyVault'));
+      await keyVault.setRespectedLocksmith(stranger.address);
+
+      const fileName = path.join(directory, 'audit.json');
+      const { result: report, output } = await runQuietly('audit', { report: fileName });
+      expect(process.exitCode).eql(1);
+      expect(report.drift).eql(true);
+      expect(output).to.include('Drift detected: true');
+      expect(JSON.parse(fs.readFileSync(fileName))).eql(report);
+
+      const audited = getResult(report, 'KeyVault');
+      expect(audited.status).eql('drift');
+      expect(audited.checks.dependencies).eql([{ alias: 'Locksmith', getter: 'locksmith',
+        expected: LocksmithRegistry.getContractAddress(CHAIN_ID, 'Locksmith'), actual: stranger.address, status: 'drift' }]);
+      expect(getResult(report, 'Locksmith').status).eql('ok');
+    });
+
+    it("Should fail on proxies that aren't owned by the admin", async function () {
+      const [, stranger] = await ethers.getSigners();
+      const { result: report } = await runQuietly('audit', { admin: stranger.address });
+
+      expect(process.exitCode).eql(1);
+      expect(getResult(report, 'KeyVault').checks.owner.status).eql('drift');
+      expect(getResult(report, 'Locksmith').checks.owner.actual).not.to.eql(stranger.address);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Deterministic Deployments
+  //
+  // The addresses are worked out here the way any other chain
+  // would, from the factory, the salt, and the init code. The
+  // factory only leaves code at the address of that init code.
+  ////////////////////////////////////////////////////////////
+  describe("Deterministic deployments", function () {
+    const FACTORY = '0x4e59b44847b379578588920cA78FbF26c0B4956C';
+    const ERC1967Proxy = require('@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol/ERC1967Proxy.json');
+
+    const predict = function(salt, alias, initCode) {
+      return ethers.utils.getCreate2Address(FACTORY,
+        ethers.utils.keccak256(ethers.utils.toUtf8Bytes(salt + ':' + alias)), ethers.utils.keccak256(initCode));
+    };
+
+    it("Should deploy a proxy and its implementation where they were predicted", async function () {
+      const salt = 'genie-tasks-' + Date.now();
+      const contract = await ethers.getContractFactory('KeyVault');
+      const implementation = predict(salt, 'KeyVault', contract.bytecode);
+      const proxy = predict(salt, 'KeyVault', ethers.utils.hexConcat([ERC1967Proxy.bytecode,
+        ethers.utils.defaultAbiCoder.encode(['address', 'bytes'], [implementation, '0x'])]));
+
+      const { output } = await runQuietly('deploy', { contract: 'KeyVault', salt: salt });
+      expect(output).to.include('Predicted Implementation: ' + implementation);
+      expect(output).to.include('Predicted Proxy: ' + proxy);
+
+      const entry = LocksmithRegistry.getContractEntry(CHAIN_ID, 'KeyVault');
+      expect(entry.address).eql(proxy);
+      expect(entry.predicted).eql(proxy);
+      expect(entry.implementation).eql(implementation);
+      expect(entry.salt).eql(salt);
+      expect(await upgrades.erc1967.getImplementationAddress(proxy)).eql(implementation);
+      expect(await ethers.provider.getCode(implementation)).not.to.eql('0x');
+
+      // through the factory, and initialized by the signer
+      const [owner] = await ethers.getSigners();
+      expect((await ethers.provider.getTransaction(entry.txHash)).to).eql(FACTORY);
+      const { result: report } = await runQuietly('audit');
+      expect(report.contracts.find((c) => c.alias === 'KeyVault').checks.owner.actual).eql(owner.address);
+    });
+
+    it("Should deploy implementations where they were predicted", async function () {
+      const salt = 'genie-tasks-' + Date.now();
+      const contract = await ethers.getContractFactory('VirtualKeyAddress');
+      const predicted = predict(salt, 'VirtualKeyAddress', contract.bytecode);
+
+      await runQuietly('deploy', { contract: 'VirtualKeyAddress', salt: salt });
+      const entry = LocksmithRegistry.getContractEntry(CHAIN_ID, 'VirtualKeyAddress', 'implementations');
+      expect(entry.address).eql(predicted);
+      expect(entry.predicted).eql(predicted);
+      expect(await ethers.provider.getCode(predicted)).not.to.eql('0x');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Matrix
+  //
+  // Another chain's registry sits next to the local one, with
+  // an outdated key vault. The on-chain pass only reaches the
+  // networks it is given, here the hardhat network over HTTP.
+  ////////////////////////////////////////////////////////////
+  describe("Matrix", function () {
+    const OTHER_CHAIN_ID = 8453;
+    const OUTDATED = '0x' + 'ab'.repeat(32);
+    const green = (s) => '\x1b[32m' + s + '\x1b[0m';
+    const yellow = (s) => '\x1b[33m' + s + '\x1b[0m';
+    const red = (s) => '\x1b[31m' + s + '\x1b[0m';
+    const cell = (codeHash, marker = ' ') => (codeHash.slice(0, 10) + marker).padEnd(13);
+    const row = (output, alias) => output.split('\n').find((line) => line.startsWith(alias.padEnd(24)));
+
+    const registerOtherChain = function(contracts, implementations = {}) {
+      for (const [registryType, entries] of [['contracts', contracts], ['implementations', implementations]]) {
+        fs.writeFileSync(path.join(directory, 'network-' + registryType + '-' + OTHER_CHAIN_ID + '.json'),
+          JSON.stringify(entries));
+      }
+    };
+
+    it("Should compare every chain against the local build from the registries alone", async function () {
+      const { keyVault } = await deployKeyVaultAndLocksmith();
+      const localCodeHash = LocksmithRegistry.getContractCodeHash(CHAIN_ID, 'KeyVault');
+      const virtualKeyAddressCodeHash =
+        ethers.utils.keccak256((await ethers.getContractFactory('VirtualKeyAddress')).bytecode);
+      registerOtherChain({ KeyVault: { address: keyVault.address, codeHash: OUTDATED } },
+        { VirtualKeyAddress: { address: keyVault.address, codeHash: virtualKeyAddressCodeHash } });
+
+      const { output } = await runQuietly('matrix');
+      expect(output.split('\n').find((line) => line.includes('' + OTHER_CHAIN_ID)).trim())
+        .to.match(new RegExp('^' + OTHER_CHAIN_ID + ' +' + CHAIN_ID + '$'));
+      expect(row(output, 'KeyVault')).eql('KeyVault'.padEnd(24) + yellow(cell(OUTDATED)) + green(cell(localCodeHash)));
+      expect(row(output, 'VirtualKeyAddress')).eql('VirtualKeyAddress'.padEnd(24) +
+        green(cell(virtualKeyAddressCodeHash)) + ''.padEnd(13));
+      expect(row(output, 'Notary')).eql('Notary'.padEnd(24) + ''.padEnd(26));
+      expect(output).to.include(' Outdated deployments: 1');
+      expect(output).not.to.include('Failed verifications');
+    });
+
+    it("Should check the registries against the chains it can reach", async function () {
+      const { keyVault } = await deployKeyVaultAndLocksmith();
+      const locksmithCodeHash = LocksmithRegistry.getContractCodeHash(CHAIN_ID, 'Locksmith');
+      const [, stranger] = await ethers.getSigners();
+      registerOtherChain({ KeyVault: { address: keyVault.address, codeHash: OUTDATED } });
+
+      // the locksmith's proxy points elsewhere than the registry says
+      LocksmithRegistry.saveContractDeployment(CHAIN_ID, 'Locksmith', {
+        ...LocksmithRegistry.getContractEntry(CHAIN_ID, 'Locksmith'),
+        implementation: stranger.address
+      });
+
+      const upstream = await serveNetwork();
+      const networks = hre.config.networks;
+      hre.config.networks = { localhost: { url: upstream.url } };
+      try {
+        const { output } = await runQuietly('matrix', { verify: true });
+        expect(output).to.include(' ' + OTHER_CHAIN_ID + ': not configured, skipping verification');
+        expect(output).to.include(' ' + CHAIN_ID + ': localhost');
+        expect(row(output, 'KeyVault')).eql('KeyVault'.padEnd(24) + yellow(cell(OUTDATED)) +
+          green(cell(LocksmithRegistry.getContractCodeHash(CHAIN_ID, 'KeyVault'), '✓')));
+        expect(row(output, 'Locksmith')).eql('Locksmith'.padEnd(24) + ''.padEnd(13) + red(cell(locksmithCodeHash, '✗')));
+        expect(output).to.include(' Failed verifications: 1');
+      } finally {
+        hre.config.networks = networks;
+        await upstream.close();
+      }
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Safe Proposals
+  //
+  // The batches have to decode back into the calls genie meant,
+  // and ratifying one only touches the registry once the chain
+  // shows it was executed. Here the signer executes the batch,
+  // standing in for the safe.
+  ////////////////////////////////////////////////////////////
+  describe("Safe proposals", function () {
+    const getProposalFileName = function(output) {
+      return output.match(/proposed in: (\S+\.json)/)[1];
+    };
+
+    const execute = async function(batch) {
+      const [owner] = await ethers.getSigners();
+      var txHash = null;
+      for (const transaction of batch.transactions) {
+        const response = await owner.sendTransaction({ to: transaction.to, data: transaction.data });
+        txHash = (await response.wait()).transactionHash;
+      }
+      return txHash;
+    };
+
+    it("Should propose setRespectedLocksmith, and ratify it once executed", async function () {
+      const { keyVault, locksmith } = await deployKeyVaultAndLocksmith();
+      const [, safe] = await ethers.getSigners();
+
+      const proposed = await runQuietly('respect', { propose: safe.address });
+      expect(proposed.output).to.include('WARNING: KeyVault is owned by');
+      expect(await keyVault.locksmith()).eql(zero());
+
+      const fileName = getProposalFileName(proposed.output);
+      expect(path.dirname(fileName)).eql(path.join(directory, 'proposals'));
+      const { batch, record } = LocksmithRegistry.getProposal(fileName);
+      expect(batch.chainId).eql('' + CHAIN_ID);
+      expect(batch.meta.createdFromSafeAddress).eql(safe.address);
+      expect(batch.transactions.length).eql(1);
+      expect(batch.transactions[0].to).eql(keyVault.address);
+      expect(batch.transactions[0].value).eql('0');
+
+      const call = keyVault.interface.parseTransaction({ data: batch.transactions[0].data });
+      expect(call.name).eql('setRespectedLocksmith');
+      expect(call.args).eql([locksmith]);
+      expect(record).eql({ expectations: [{ type: 'respect', alias: 'KeyVault', address: keyVault.address,
+        locksmith: locksmith }], ratified: null });
+
+      // nothing has happened yet
+      const early = await runQuietly('ratify', { batch: fileName });
+      expect(early.result).eql(1);
+      expect(early.output).to.include('The batch doesn\'t seem to have been executed yet');
+      expect(LocksmithRegistry.getProposal(fileName).record.ratified).eql(null);
+
+      const txHash = await execute(batch);
+      expect((await runQuietly('ratify', { batch: fileName, tx: txHash })).result).eql(0);
+      expect(LocksmithRegistry.getProposal(fileName).record.ratified.txHash).eql(txHash);
+      expect(LocksmithRegistry.getProposal(fileName).batch).eql(batch);
+
+      const again = await runQuietly('ratify', { batch: fileName });
+      expect(again.result).eql(0);
+      expect(again.output).to.include('This batch was already ratified');
+    });
+
+    it("Should propose an upgrade, and record it once ratified", async function () {
+      const { keyVault, implementation } = await deployPreviousBuild();
+      const [owner, safe] = await ethers.getSigners();
+      const localCodeHash = ethers.utils.keccak256((await ethers.getContractFactory('KeyVault')).bytecode);
+
+      const proposed = await runQuietly('deploy', { contract: 'KeyVault', upgrade: true, propose: safe.address });
+      expect(proposed.result).eql(0);
+      expect(await upgrades.erc1967.getImplementationAddress(keyVault.address)).eql(implementation);
+
+      const fileName = getProposalFileName(proposed.output);
+      const { batch, record } = LocksmithRegistry.getProposal(fileName);
+      const call = keyVault.interface.parseTransaction({ data: batch.transactions[0].data });
+      const upgraded = call.args[0];
+      expect(batch.transactions[0].to).eql(keyVault.address);
+      expect(call.name).eql('upgradeTo');
+      expect(upgraded).not.to.eql(implementation);
+      expect(await ethers.provider.getCode(upgraded)).not.to.eql('0x');
+      expect(record.expectations).eql([{ type: 'upgrade', alias: 'KeyVault', address: keyVault.address,
+        implementation: upgraded, codeHash: localCodeHash }]);
+
+      // the registry waits for the safe
+      expect((await runQuietly('ratify', { batch: fileName })).result).eql(1);
+      expect(LocksmithRegistry.getContractEntry(CHAIN_ID, 'KeyVault').implementation).eql(implementation);
+
+      const txHash = await execute(batch);
+      expect(await upgrades.erc1967.getImplementationAddress(keyVault.address)).eql(upgraded);
+      expect((await runQuietly('ratify', { batch: fileName, tx: txHash })).result).eql(0);
+
+      const entry = LocksmithRegistry.getContractEntry(CHAIN_ID, 'KeyVault');
+      expect(entry.implementation).eql(upgraded);
+      expect(entry.codeHash).eql(localCodeHash);
+      expect(entry.deployer).eql(safe.address);
+      expect(entry.txHash).eql(txHash);
+      expect(entry.history.map((h) => [h.implementation, h.deployer])).eql([[implementation, owner.address]]);
+      expect(LocksmithRegistry.getLayoutSnapshot(CHAIN_ID, 'KeyVault').codeHash).eql(localCodeHash);
+    });
+
+    it("Should refuse batches for another chain", async function () {
+      await deployKeyVaultAndLocksmith();
+      const [, safe] = await ethers.getSigners();
+      const fileName = getProposalFileName((await runQuietly('respect', { propose: safe.address })).output);
+      const { batch, record } = LocksmithRegistry.getProposal(fileName);
+      const elsewhere = LocksmithRegistry.saveProposal({ ...batch, chainId: '1' }, record);
+
+      const refused = await runQuietly('ratify', { batch: elsewhere });
+      expect(refused.result).eql(1);
+      expect(refused.output).to.include('This batch is for chain 1, not ' + CHAIN_ID);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Owners
+  //
+  // Handing the proxies to a new admin takes two runs: one to
+  // print the plan and its code, and one to confirm it.
+  ////////////////////////////////////////////////////////////
+  describe("Owners", function () {
+    const getConfirmationCode = function(output) {
+      return output.match(/--confirm (0x[0-9a-f]{8})/)[1];
+    };
+
+    it("Should only transfer with the code of the same plan", async function () {
+      await deployKeyVaultAndLocksmith();
+      const locksmith = (await ethers.getContractFactory('Locksmith'))
+        .attach(LocksmithRegistry.getContractAddress(CHAIN_ID, 'Locksmith'));
+      const [owner, , admin, other] = await ethers.getSigners();
+      const plan = { transfer: admin.address, contract: 'KeyVault,Locksmith' };
+
+      const planned = await runQuietly('owners', plan);
+      expect(planned.result).eql(0);
+      expect(planned.output).to.include('KeyVault: has no #transferOwnership, skipping.');
+      expect(planned.output).to.include('Locksmith: ' + owner.address + ' -> ' + admin.address);
+      expect(await locksmith.owner()).eql(owner.address);
+      const code = getConfirmationCode(planned.output);
+
+      // a wrong code, or the code for another plan, changes nothing
+      const wrong = await runQuietly('owners', { ...plan, confirm: '0xdeadbeef' });
+      expect(wrong.result).eql(1);
+      expect(wrong.output).to.include('The confirmation code doesn\'t match');
+      expect(getConfirmationCode(wrong.output)).eql(code);
+      expect((await runQuietly('owners', { ...plan, transfer: other.address, confirm: code })).result).eql(1);
+      expect(await locksmith.owner()).eql(owner.address);
+
+      expect((await runQuietly('owners', { ...plan, confirm: code })).result).eql(0);
+      expect(await locksmith.owner()).eql(admin.address);
+
+      const again = await runQuietly('owners', { ...plan, confirm: code });
+      expect(again.result).eql(0);
+      expect(again.output).to.include('Locksmith: already owned by the new admin.');
+      expect(again.output).to.include('There is nothing to transfer.');
+    });
+
+    it("Should refuse implementations, which aren't owned", async function () {
+      await deployKeyVaultAndLocksmith();
+      await runQuietly('deploy', { contract: 'VirtualKeyAddress' });
+      expect(LocksmithRegistry.getContractAddress(CHAIN_ID, 'VirtualKeyAddress', 'implementations')).not.to.eql(null);
+      const [, , admin] = await ethers.getSigners();
+
+      const refused = await runQuietly('owners', { transfer: admin.address, contract: 'KeyVault,VirtualKeyAddress' });
+      expect(refused.result).eql(1);
+      expect(refused.output).to.include('VirtualKeyAddress isn\'t a registered proxy on this chain.');
+      expect(refused.output).not.to.include('--confirm');
+
+      const listed = await runQuietly('owners', { contract: 'KeyVault,Locksmith' });
+      expect(listed.result).eql(0);
+      expect(listed.output).to.include(' Locksmith: ');
+      expect(listed.output).not.to.include('VirtualKeyAddress');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Verification
+  //
+  // The explorer is the stand-in from scripts/explorer.js, on
+  // the hardhat network. The solc releases the etherscan plugin
+  // looks up are answered locally, as there may be no network.
+  ////////////////////////////////////////////////////////////
+  describe("Verification", function () {
+    const ENDPOINT = 'verify:get-etherscan-endpoint';
+    var explorer, endpoint, dispatcher;
+    this.timeout(120000);
+
+    beforeEach(async function () {
+      explorer = createExplorer((method, params) => network.provider.send(method, params));
+      await new Promise((resolve) => explorer.server.listen(0, '127.0.0.1', resolve));
+      const url = 'http://127.0.0.1:' + explorer.server.address().port;
+
+      // the plugin refuses the hardhat network by name
+      endpoint = hre.tasks[ENDPOINT];
+      subtask(ENDPOINT, async () => ({ network: 'localhost', urls: { apiURL: url + '/api', browserURL: url } }));
+
+      const agent = new MockAgent();
+      agent.enableNetConnect('127.0.0.1:' + explorer.server.address().port);
+      agent.get('https://solc-bin.ethereum.org').intercept({ path: '/bin/list.json' })
+        .reply(200, { releases: { '0.8.16': 'soljson-v0.8.16+commit.07a7930e.js' } }).persist();
+      dispatcher = getGlobalDispatcher();
+      setGlobalDispatcher(agent);
+    });
+
+    afterEach(async function () {
+      hre.tasks[ENDPOINT] = endpoint;
+      setGlobalDispatcher(dispatcher);
+      await new Promise((resolve) => explorer.server.close(resolve));
+    });
+
+    const deployVerifiable = async function() {
+      for (const alias of ['KeyVault', 'VirtualKeyAddress']) {
+        expect((await runQuietly('deploy', { contract: alias })).result).not.to.eql(1);
+      }
+      const keyVault = LocksmithRegistry.getContractAddress(CHAIN_ID, 'KeyVault');
+      return {
+        keyVault:          keyVault,
+        implementation:    await upgrades.erc1967.getImplementationAddress(keyVault),
+        virtualKeyAddress: LocksmithRegistry.getContractAddress(CHAIN_ID, 'VirtualKeyAddress', 'implementations')
+      };
+    };
+
+    const getVerification = (alias, registryType = 'contracts') =>
+      LocksmithRegistry.getContractEntry(CHAIN_ID, alias, registryType).verification;
+
+    it("Should verify proxies and implementations, and only submit them again on a recheck", async function () {
+      const { keyVault, implementation, virtualKeyAddress } = await deployVerifiable();
+      const aliases = 'KeyVault,VirtualKeyAddress';
+
+      expect((await runQuietly('genie-verify', { aliases: aliases })).result).eql(0);
+      expect(Object.keys(explorer.verified)).to.have.members([keyVault, implementation, virtualKeyAddress]
+        .map((a) => a.toLowerCase()));
+      expect(explorer.verified[implementation.toLowerCase()].contractName).eql('KeyVault');
+      expect(explorer.verified[keyVault.toLowerCase()].contractName).eql('ERC1967Proxy');
+
+      const verification = getVerification('KeyVault');
+      expect(verification.implementation).to.include({ address: implementation, status: 'verified', reason: null });
+      expect(verification.proxy).to.include({ address: keyVault, status: 'verified', reason: null });
+      expect(getVerification('VirtualKeyAddress', 'implementations').implementation)
+        .to.include({ address: virtualKeyAddress, status: 'verified' });
+
+      // what is recorded as verified isn't submitted again
+      const submitted = Object.keys(explorer.submissions).length;
+      const skipped = await runQuietly('genie-verify', { aliases: aliases });
+      expect(skipped.result).eql(0);
+      expect(skipped.output).to.match(/KeyVault implementation: .*already verified/);
+      expect(skipped.output).to.match(/KeyVault proxy: .*already verified/);
+      expect(skipped.output).to.match(/VirtualKeyAddress implementation: .*already verified/);
+      expect(Object.keys(explorer.submissions).length).eql(submitted);
+      expect(getVerification('KeyVault')).eql(verification);
+
+      // and when it is, the explorer refusing it again is as good as a pass
+      const recorded = getVerification('VirtualKeyAddress', 'implementations').implementation;
+      const rechecked = await runQuietly('genie-verify', { aliases: 'VirtualKeyAddress', recheck: true });
+      expect(rechecked.result).eql(0);
+      expect(Object.keys(explorer.submissions).length).eql(submitted);
+      const status = getVerification('VirtualKeyAddress', 'implementations').implementation;
+      expect(status).to.include({ address: virtualKeyAddress, status: 'verified', reason: null });
+      expect(status.timestamp).not.to.eql(recorded.timestamp);
+    });
+
+    it("Should record why a contract failed to verify", async function () {
+      const { implementation } = await deployVerifiable();
+
+      // the registry has the implementation at an address with other code
+      LocksmithRegistry.saveContractAddress(CHAIN_ID, 'VirtualKeyAddress', implementation, 'implementations');
+      const failed = await runQuietly('genie-verify', { aliases: 'VirtualKeyAddress' });
+      expect(failed.result).eql(1);
+      expect(failed.output).to.include('1 contract(s) failed to verify.');
+
+      const status = getVerification('VirtualKeyAddress', 'implementations').implementation;
+      expect(status).to.include({ address: implementation, status: 'failed' });
+      expect(status.reason).to.match(/bytecode doesn't match the contract .*:VirtualKeyAddress/);
+      expect(explorer.verified[implementation.toLowerCase()]).eql(undefined);
+    });
+
+    it("Should show statuses recorded for a previous address as unverified", async function () {
+      const { virtualKeyAddress } = await deployVerifiable();
+      expect((await runQuietly('genie-verify', { aliases: 'VirtualKeyAddress' })).result).eql(0);
+      expect((await runQuietly('show', { contract: 'VirtualKeyAddress' })).output)
+        .to.match(/Verification: .*implementation ✓/);
+
+      // a redeploy leaves the status behind on the previous address
+      const redeployed = await (await ethers.getContractFactory('VirtualKeyAddress')).deploy();
+      LocksmithRegistry.saveContractAddress(CHAIN_ID, 'VirtualKeyAddress', redeployed.address, 'implementations');
+      expect(getVerification('VirtualKeyAddress', 'implementations').implementation.address).eql(virtualKeyAddress);
+
+      const shown = (await runQuietly('show', { contract: 'VirtualKeyAddress' })).output;
+      expect(shown).to.match(/Verification: .*implementation unverified/);
+      expect(shown).not.to.include('✓');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Assets
+  //
+  // A token already on chain is registered, checked and
+  // removed again, with its ARN as the contracts compute it.
+  ////////////////////////////////////////////////////////////
+  describe("Assets", function () {
+    var exitCode;
+
+    beforeEach(function () {
+      exitCode = process.exitCode;
+    });
+
+    afterEach(function () {
+      process.exitCode = exitCode;
+    });
+
+    it("Should register, list, validate and remove a token", async function () {
+      const coin = await (await ethers.getContractFactory('ShadowERC')).deploy('Coin', 'COIN');
+      await coin.deployed();
+
+      expect((await runQuietly('asset-register', { alias: 'coin', address: coin.address })).result).not.to.eql(1);
+      const listed = (await runQuietly('asset-list', { json: true })).result;
+      expect(Object.keys(listed)).eql(['coin']);
+      expect(listed.coin).to.include({ address: coin.address, standard: 20, id: '0', arn: tokenArn(coin.address),
+        name: 'Coin', symbol: 'COIN', decimals: 18 });
+      expect(LocksmithRegistry.getAssetByArn(CHAIN_ID, tokenArn(coin.address)).alias).eql('coin');
+
+      // the same token can't be registered twice
+      const again = await runQuietly('asset-register', { alias: 'coin2', address: coin.address });
+      expect(again.result).eql(1);
+      expect(again.output).to.include('This asset is already registered as coin');
+
+      const validated = await runQuietly('asset-validate');
+      expect(validated.output).to.include('Invalid assets: 0');
+      expect(process.exitCode).eql(exitCode);
+
+      // what was recorded by hand is put back by what the chain says
+      expect((await runQuietly('asset-register', { alias: 'coin', address: coin.address,
+        symbol: 'NOTCOIN', force: true })).result).not.to.eql(1);
+      expect((await runQuietly('asset-validate')).output).to.include('symbol is NOTCOIN, but the chain says COIN');
+      expect(process.exitCode).eql(1);
+      expect((await runQuietly('asset-fetch')).output).to.include('coin: symbol NOTCOIN => COIN');
+      expect(LocksmithRegistry.getAssetEntries(CHAIN_ID).coin.symbol).eql('COIN');
+
+      expect((await runQuietly('asset-remove', { alias: 'coin' })).result).not.to.eql(1);
+      expect((await runQuietly('asset-list', { json: true })).result).eql({});
+      expect((await runQuietly('asset-remove', { alias: 'coin' })).result).eql(1);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Metrics
+  //
+  // A snapshot of a fresh deployment is compared against the
+  // same deployment once a trust has been funded.
+  ////////////////////////////////////////////////////////////
+  describe("Metrics", function () {
+    this.timeout(120000);
+
+    it("Should show what changed since a snapshot", async function () {
+      expect((await runQuietly('blast')).result).not.to.eql(1);
+      const snapshot = path.join(directory, 'metrics.json');
+
+      const before = await runQuietly('metrics', { snapshot: snapshot });
+      expect(before.output).to.include('Snapshot written to ' + snapshot);
+      const saved = JSON.parse(fs.readFileSync(snapshot));
+      expect(saved.chainId).eql(CHAIN_ID);
+      expect(saved.locksmith).eql(before.result.locksmith);
+
+      const [root, guardian] = await ethers.getSigners();
+      const results = await LocksmithSmoke.run({ chainId: CHAIN_ID, root: root, guardian: guardian,
+        amount: eth(2) }, ['deposit-eth']);
+      expect(results.map((r) => r.status)).eql(['pass', 'pass']);
+
+      const after = await runQuietly('metrics', { diff: snapshot, json: true });
+      const reported = JSON.parse(after.output);
+      expect(reported.since.block).eql(saved.block);
+      expect(reported.changes['locksmith trusts']).eql('+1');
+      expect(reported.changes['locksmith keys']).eql('+1');
+      const [held] = Object.entries(reported.changes).filter(([name]) => name.startsWith('tvl EtherVault '));
+      expect(held[1]).eql('new');
+      expect(Object.values(reported.tvl.EtherVault)).eql(['2.0']);
+
+      // the snapshot isn't touched by comparing against it
+      expect(JSON.parse(fs.readFileSync(snapshot))).eql(saved);
+    });
+
+    it("Should refuse to compare against a snapshot from another chain", async function () {
+      const snapshot = path.join(directory, 'metrics.json');
+      fs.writeFileSync(snapshot, JSON.stringify({ chainId: 1, block: 1 }));
+
+      const refused = await runQuietly('metrics', { diff: snapshot });
+      expect(refused.result).eql(1);
+      expect(refused.output).to.include('The snapshot is for chain 1, not ' + CHAIN_ID);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Seeding
+  //
+  // The devnet scenario is played against a fresh deployment,
+  // and what it leaves behind is counted with genie metrics.
+  ////////////////////////////////////////////////////////////
+  describe("Seeding", function () {
+    this.timeout(300000);
+
+    it("Should populate a fresh deployment with the devnet scenario", async function () {
+      const seeded = await runQuietly('seed');
+      expect(seeded.result, seeded.output).eql([
+        { name: 'Family Trust', trustId: 0, rootKeyId: 0 },
+        { name: 'Rainy Day Fund', trustId: 1, rootKeyId: 4 },
+        { name: 'Savings', trustId: 2, rootKeyId: 6 }
+      ]);
+      expect(seeded.output).to.include('Seeded 3 trusts!');
+
+      const locksmith = (await ethers.getContractFactory('Locksmith'))
+        .attach(LocksmithRegistry.getContractAddress(CHAIN_ID, 'Locksmith'));
+      for (const trust of seeded.result) {
+        const [id, name, rootKeyId] = await locksmith.getTrustInfo(trust.trustId);
+        expect([id.toNumber(), ethers.utils.parseBytes32String(name), rootKeyId.toNumber()])
+          .eql([trust.trustId, trust.name, trust.rootKeyId]);
+      }
+
+      // the shadow tokens were deployed for the scenario's assets
+      for (const alias of ['usdc', 'link']) {
+        expect(LocksmithRegistry.getContractAddress(CHAIN_ID, alias, 'assets')).not.to.eql(null);
+      }
+
+      const metrics = (await runQuietly('metrics')).result;
+      expect(metrics.locksmith).eql({ trusts: 3, keys: 7 });
+      expect(Object.values(metrics.tvl.EtherVault)).eql(['38.5']);
+      expect(Object.values(metrics.tvl.TokenVault).sort()).eql(['1200.0', '50000.0']);
+      expect(metrics.inboxes).eql({ registered: 3 });
+      expect(metrics.recovery).eql({ policies: 2 });
+      expect(metrics.alarms).eql({ pending: 2, fired: 0 });
+      expect(metrics.allowances).eql({ outstanding: 2, exhausted: 0 });
+      expect(metrics.trustee).eql({ policies: 2 });
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Rehearsals
+  //
+  // A rehearsal resets the hardhat network onto a fork, which
+  // would take every other file's snapshots with it, so it is
+  // run in a child process that forks this one. The second
+  // time, it only has the fork cache to go on.
+  ////////////////////////////////////////////////////////////
+  describe("Rehearsals", function () {
+    var cacheFileName = null;
+    this.timeout(300000);
+
+    afterEach(function () {
+      if (cacheFileName) {
+        fs.rmSync(cacheFileName, { force: true });
+        cacheFileName = null;
+      }
+    });
+
+    const call = async function(url, method, params) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: method, params: params })
+      });
+      return await response.json();
+    };
+
+    const rehearse = async function(args) {
+      const script = "const hre = require('hardhat');" +
+        "LocksmithRegistry.configure({ directory: " + JSON.stringify(directory) + " });" +
+        "hre.run('rehearse', " + JSON.stringify(args) + ").then((result) => process.exit(result));";
+      const child = spawn(process.execPath, ['-e', script], { cwd: path.resolve(__dirname, '..') });
+      var output = '';
+      child.stdout.on('data', (chunk) => output += chunk);
+      child.stderr.on('data', (chunk) => output += chunk);
+      const result = await new Promise((resolve) => child.on('exit', resolve));
+      return { result, output };
+    };
+
+    it("Should answer from the fork cache once it has been filled", async function () {
+      const { keyVault } = await deployKeyVaultAndLocksmith();
+      const [owner, other] = await ethers.getSigners();
+      const block = await ethers.provider.getBlockNumber();
+      const pinned = ethers.utils.hexValue(block);
+      cacheFileName = path.resolve(__dirname, '../cache/genie-fork/' + CHAIN_ID + '-' + block + '.json');
+      const requests = [['eth_getCode', [keyVault.address, pinned]], ['eth_getBalance', [owner.address, pinned]],
+        ['eth_getBlockByNumber', [pinned, false]]];
+
+      const upstream = await serveNetwork();
+      var resolved = 0;
+      const filling = await LocksmithFork.serve(CHAIN_ID, block, async () => { resolved += 1; return upstream.url; });
+      var answers = [];
+      for (const [method, params] of requests) {
+        answers.push(await call(filling.url, method, params));
+      }
+      await filling.close();
+      await upstream.close();
+      expect(resolved).eql(1);
+      expect(filling.stats).eql({ hits: 0, misses: 3 });
+      expect(answers.map((a) => a.result)).eql(await Promise.all(requests.map(([m, p]) => network.provider.send(m, p))));
+      expect(Object.keys(JSON.parse(fs.readFileSync(cacheFileName))).length).eql(3);
+
+      // the chain moves on, and there's no upstream to ask
+      await (await owner.sendTransaction({ to: other.address, value: eth(1) })).wait();
+      const noUpstream = async () => { throw new Error('there is no upstream'); };
+      for (const offline of [false, true]) {
+        const replay = await LocksmithFork.serve(CHAIN_ID, block, noUpstream, offline);
+        for (const [i, [method, params]] of requests.entries()) {
+          expect((await call(replay.url, method, params)).result).eql(answers[i].result);
+        }
+        const missing = await call(replay.url, 'eth_getTransactionCount', [owner.address, pinned]);
+        expect(missing.error.message).eql(offline ?
+          'Not in the fork cache, and running offline: eth_getTransactionCount' : 'there is no upstream');
+        await replay.close();
+        expect(replay.stats).eql({ hits: 3, misses: 0 });
+      }
+      expect(Object.keys(JSON.parse(fs.readFileSync(cacheFileName))).length).eql(3);
+    });
+
+    it("Should rehearse on a fork, and again offline from the fork cache", async function () {
+      const blasted = await runQuietly('blast');
+      expect(blasted.result).not.to.eql(1);
+      const block = await ethers.provider.getBlockNumber();
+      cacheFileName = path.resolve(__dirname, '../cache/genie-fork/' + CHAIN_ID + '-' + block + '.json');
+
+      const upstream = await serveNetwork();
+      const online = await rehearse({ chain: CHAIN_ID, block: block, rpc: upstream.url });
+      await upstream.close();
+      expect(online.result, online.output).eql(0);
+      expect(online.output).to.include('The registry matches the local build, there is nothing to upgrade.');
+      for (const step of LocksmithSmoke.getStepNames()) {
+        expect(online.output).to.include('[✓]\u001b[0m ' + step + ': ');
+      }
+      expect(online.output).to.include('The rehearsal passed!');
+      expect(fs.existsSync(cacheFileName)).eql(true);
+
+      const offline = await rehearse({ chain: CHAIN_ID, block: block, offline: true });
+      expect(offline.result, offline.output).eql(0);
+      expect(offline.output).to.match(/Fork cache: [1-9]\d* hits, 0 misses/);
+      expect(offline.output).to.include('The rehearsal passed!');
+    });
+
+    it("Should refuse rehearsals it can't run", async function () {
+      const refusals = [
+        [{ chain: 1337 }, 'There is no registry for chain 1337 to rehearse against.'],
+        [{ chain: CHAIN_ID, offline: true }, 'The fork cache is kept per block, so --offline needs a --block.'],
+        [{ chain: CHAIN_ID, steps: 'create-trust,rug-pull' }, 'Unknown smoke steps: rug-pull']
+      ];
+      for (const [args, reason] of refusals) {
+        const refused = await runQuietly('rehearse', args);
+        expect(refused.result).eql(1);
+        expect(refused.output).to.include(reason);
+      }
+    });
+
+    it("Should skip the smoke steps built on one that failed", async function () {
+      const [root, guardian] = await ethers.getSigners();
+      const results = await LocksmithSmoke.run({ chainId: CHAIN_ID, root: root, guardian: guardian,
+        amount: eth(1) }, ['recover-key']);
+
+      // nothing is registered, so there's no locksmith to create a trust with
+      expect(results.map((r) => [r.name, r.status])).eql([['create-trust', 'fail'], ['recover-key', 'skip']]);
+      expect(results[1].detail).eql('needs create-trust');
+    });
+  });
+});
@@ -0,0 +1,233 @@
+//////////////////////////////////////////////////////////////
+/// Indexer.js
+//
+//  Testing the indexer against a deployment, making sure
+//  what it rebuilds from the logs matches the contracts,
+//  and that it recovers from reorgs.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/indexer.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("Indexer", function () {
+  const deployment = fileFixture(TrustTestFixtures.deployedHardhat);
+
+  const fileName = path.join(os.tmpdir(), 'locksmith-index-test-' + process.pid + '.json');
+
+  const open = async function(fixture, reset = true, fromBlock = 0) {
+    const chainId = (await ethers.provider.getNetwork()).chainId;
+    return LocksmithIndexer.open(chainId, fromBlock, reset, {
+      fileName: fileName,
+      contracts: {
+        Locksmith:     fixture.locksmith.address,
+        Ledger:        fixture.ledger.address,
+        Notary:        fixture.notary.address,
+        TrustEventLog: fixture.events.address,
+        AlarmClock:    fixture.alarmClock.address,
+        Trustee:       fixture.trustee.address
+      }
+    });
+  };
+
+  // adds up what every ledger record moved, by key, provider, and arn
+  const getBalances = function(index) {
+    var balances = {};
+    const move = (keyId, record, amount) => {
+      const at = [keyId, record.args.provider, record.args.arn].join('/');
+      balances[at] = (balances[at] || ethers.BigNumber.from(0)).add(amount);
+    };
+    for (const record of index.query({ contract: 'Ledger' })) {
+      const args = record.args;
+      if (record.event === 'depositOccurred') {
+        move(args.keyId, record, args.amount);
+      } else if (record.event === 'withdrawalOccurred') {
+        move(args.keyId, record, ethers.BigNumber.from(args.amount).mul(-1));
+      } else {
+        args.keys.forEach((keyId, i) => {
+          move(args.rootKeyId, record, ethers.BigNumber.from(args.amounts[i]).mul(-1));
+          move(keyId, record, args.amounts[i]);
+        });
+      }
+    }
+    return balances;
+  };
+
+  afterEach(function () {
+    fs.rmSync(fileName, { force: true });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Syncing
+  ////////////////////////////////////////////////////////////
+  describe("Syncing", function () {
+    it("Should index every event up to the head", async function () {
+      const fixture = await loadFixture(deployment);
+      const index = await open(fixture);
+      const head = await ethers.provider.getBlockNumber();
+
+      const result = await index.sync(ethers.provider);
+      expect(result).eql({ from: 0, to: head, added: index.query().length, dropped: 0 });
+      expect(index.getBlock()).eql(head);
+
+      const trusts = index.query({ event: 'trustCreated' });
+      expect(trusts.map((r) => r.args.trustName)).eql([stb('Conner Trust'), stb('Second Trust')]);
+      // copied keys are minted again
+      const minted = new Set(index.query({ event: 'keyMinted' }).map((r) => r.args.keyId));
+      expect(minted.size).eql(
+        (await fixture.locksmith.getKeys(0)).length + (await fixture.locksmith.getKeys(1)).length);
+      expect(index.query({ event: 'trusteePolicySet' }).length).eql(2);
+
+      // in the order they happened
+      const order = index.query().map((r) => [r.block, r.logIndex]);
+      expect(order).eql([...order].sort((a, b) => a[0] - b[0] || a[1] - b[1]));
+    });
+
+    it("Should only index new blocks when synced again", async function () {
+      const fixture = await loadFixture(deployment);
+      const first = await (await open(fixture)).sync(ethers.provider);
+
+      await fixture.locksmith.connect(fixture.root).createKey(0, stb('Testing Ten'), fixture.second.address, false);
+      await fixture.vault.connect(fixture.root).deposit(0, { value: eth(3) });
+
+      // picking up from the file it was saved to
+      const index = await open(fixture, false);
+      expect(index.getBlock()).eql(first.to);
+      const second = await index.sync(ethers.provider);
+      expect(second).eql({ from: first.to + 1, to: await ethers.provider.getBlockNumber(), added: 3, dropped: 0 });
+      expect(index.query().length).eql(first.added + 3);
+      expect(index.query({ fromBlock: second.from }).map((r) => r.event))
+        .eql(['keyMinted', 'notaryDepositApproval', 'depositOccurred']);
+
+      // and nothing more when nothing happened
+      expect((await index.sync(ethers.provider)).added).eql(0);
+    });
+
+    it("Should refuse to open once the contracts have moved", async function () {
+      const fixture = await loadFixture(deployment);
+      await (await open(fixture)).sync(ethers.provider);
+      await expect(open({ ...fixture, trustee: fixture.notary }, false))
+        .to.be.rejectedWith('The registry has changed for Trustee since the index was started, it needs to be rebuilt.');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Reorgs
+  ////////////////////////////////////////////////////////////
+  describe("Reorgs", function () {
+    it("Should rewind to the last block the chain agrees with", async function () {
+      const fixture = await loadFixture(deployment);
+      const index = await open(fixture);
+      const fork = (await index.sync(ethers.provider)).to;
+      const snapshot = await ethers.provider.send('evm_snapshot', []);
+
+      // the branch that will be orphaned
+      await fixture.vault.connect(fixture.root).deposit(0, { value: eth(1) });
+      await fixture.locksmith.connect(fixture.root).createKey(0, stb('Orphan'), fixture.second.address, false);
+      const orphaned = await index.sync(ethers.provider);
+      expect(orphaned.added).eql(3);
+
+      // the branch the chain settles on, longer and different
+      await ethers.provider.send('evm_revert', [snapshot]);
+      await fixture.vault.connect(fixture.root).deposit(0, { value: eth(2) });
+      await ethers.provider.send('hardhat_mine', ['0x5']);
+      const head = await ethers.provider.getBlockNumber();
+      expect(head - fork).to.be.below(LocksmithIndexer.REORG_DEPTH);
+
+      const result = await index.sync(ethers.provider);
+      expect(result).eql({ from: fork + 1, to: head, added: 2, dropped: 3 });
+      expect(index.query({ event: 'keyMinted' }).map((r) => r.args.keyName)).not.to.include(stb('Orphan'));
+
+      const [deposit] = index.query({ contract: 'Ledger', fromBlock: fork + 1 });
+      expect(deposit.event).eql('depositOccurred');
+      expect(deposit.args.amount).eql(eth(2).toString());
+      expect(deposit.blockHash).eql((await ethers.provider.getBlock(deposit.block)).hash);
+    });
+
+    it("Should refuse to rewind past what it kept", async function () {
+      const fixture = await loadFixture(deployment);
+      const snapshot = await ethers.provider.send('evm_snapshot', []);
+      await fixture.vault.connect(fixture.root).deposit(0, { value: eth(1) });
+      await ethers.provider.send('hardhat_mine', ['0x3']);
+
+      // only the blocks after the snapshot are indexed and kept
+      const index = await open(fixture, true, await ethers.provider.getBlockNumber() - 3);
+      await index.sync(ethers.provider);
+      expect(index.query({ contract: 'Ledger' }).length).eql(1);
+
+      // so a reorg from the snapshot orphans every one of them
+      await ethers.provider.send('evm_revert', [snapshot]);
+      await fixture.vault.connect(fixture.root).deposit(0, { value: eth(2) });
+      await ethers.provider.send('hardhat_mine', ['0x5']);
+      await expect(index.sync(ethers.provider)).to.be.rejectedWith(
+        'The chain reorganized deeper than the last ' + LocksmithIndexer.REORG_DEPTH + ' blocks indexed');
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Tracing
+  ////////////////////////////////////////////////////////////
+  describe("Tracing", function () {
+    it("Should trace every record back to its trust", async function () {
+      const fixture = await loadFixture(deployment);
+      const index = await open(fixture);
+      await index.sync(ethers.provider);
+
+      expect(index.query().filter((r) => r.trustId === null)).eql([]);
+      for (const record of index.query({ event: 'keyMinted' })) {
+        const [valid,, trustId] = await fixture.locksmith.inspectKey(record.args.keyId);
+        expect(valid).eql(true);
+        expect(record.trustId).eql(trustId.toString());
+      }
+      for (const trustId of [0, 1]) {
+        expect([...new Set(index.activity(trustId, { event: 'keyMinted' }).map((r) => r.args.keyId))])
+          .eql((await fixture.locksmith.getKeys(trustId)).map((k) => k.toString()));
+      }
+
+      // records without a trust ID are traced through their keys
+      for (const record of index.query({ event: 'trusteePolicySet' })) {
+        const [,, trustId] = await fixture.locksmith.inspectKey(record.args.trusteeKeyId);
+        expect(record.trustId).eql(trustId.toString());
+      }
+    });
+
+    it("Should rebuild the balances the ledger holds", async function () {
+      const fixture = await loadFixture(deployment);
+      await fixture.notary.connect(fixture.root).setWithdrawalAllowance(
+        fixture.ledger.address, fixture.vault.address, 0, ethArn(), eth(2));
+      await fixture.vault.connect(fixture.root).withdrawal(0, eth(2));
+      const index = await open(fixture);
+      await index.sync(ethers.provider);
+
+      const balances = getBalances(index);
+      expect(Object.keys(balances).length).to.be.above(0);
+      for (const [at, balance] of Object.entries(balances)) {
+        const [keyId, provider, arn] = at.split('/');
+        const [held] = await fixture.ledger.getContextArnBalances(KEY(), keyId, provider, [arn]);
+        expect(balance).eql(held);
+      }
+
+      // and every key the ledger has balances for is covered
+      for (const trustId of [0, 1]) {
+        for (const keyId of await fixture.locksmith.getKeys(trustId)) {
+          for (const provider of [fixture.vault.address, fixture.tokenVault.address, fixture.owner.address]) {
+            for (const arn of await fixture.ledger.getContextArnRegistry(KEY(), keyId, provider)) {
+              expect(balances[[keyId, provider, arn].join('/')]).not.to.eql(undefined);
+            }
+          }
+        }
+      }
+    });
+  });
+});
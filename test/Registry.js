@@ -0,0 +1,191 @@
+//////////////////////////////////////////////////////////////
+/// Registry.js
+//
+//  Testing how genie's registries are written: atomically,
+//  one process at a time, and without losing the history
+//  of what an alias pointed to.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/registry.js');
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("Registry", function () {
+  const CHAIN_ID = 31337;
+  var directory, previous;
+
+  const registryFile = (registryType = 'contracts') =>
+    path.join(directory, 'network-' + registryType + '-' + CHAIN_ID + '.json');
+  const lockFile = () => registryFile() + '.lock';
+  const address = (n) => ethers.utils.getAddress('0x' + n.toString(16).padStart(40, '0'));
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'genie-registry-'));
+    fs.writeFileSync(registryFile(), '{}');
+    previous = LocksmithRegistry.configure({ directory: directory, lockTimeout: 500 });
+  });
+
+  afterEach(function () {
+    LocksmithRegistry.configure(previous);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Writing
+  ////////////////////////////////////////////////////////////
+  describe("Writing", function () {
+    it("Should replace the registry without leaving anything behind", async function () {
+      LocksmithRegistry.saveContractAddress(CHAIN_ID, 'Locksmith', address(1));
+      expect(JSON.parse(fs.readFileSync(registryFile()))).eql({ Locksmith: { address: address(1) } });
+      expect(fs.readdirSync(directory)).eql([path.basename(registryFile())]);
+    });
+
+    it("Should refuse to create registries that don't exist", async function () {
+      expect(() => LocksmithRegistry.saveContractAddress(1337, 'Locksmith', address(1))).to.throw('ENOENT');
+    });
+
+    it("Should keep the history of an alias across redeploys", async function () {
+      const deployment = (n) => ({ address: address(n), implementation: address(n + 100),
+        codeHash: '0x' + n, deployer: address(9), txHash: '0xt' + n });
+
+      LocksmithRegistry.saveContractDeployment(CHAIN_ID, 'Locksmith', deployment(1));
+      expect(LocksmithRegistry.getContractHistory(CHAIN_ID, 'Locksmith')).eql([]);
+
+      LocksmithRegistry.saveContractDeployment(CHAIN_ID, 'Locksmith', deployment(2));
+      LocksmithRegistry.saveContractDeployment(CHAIN_ID, 'Locksmith', deployment(3));
+      expect(LocksmithRegistry.getContractAddress(CHAIN_ID, 'Locksmith')).eql(address(3));
+
+      const history = LocksmithRegistry.getContractHistory(CHAIN_ID, 'Locksmith');
+      expect(history.map((h) => h.address)).eql([address(1), address(2)]);
+      expect(history.map((h) => h.implementation)).eql([address(101), address(102)]);
+      expect(history.map((h) => h.txHash)).eql(['0xt1', '0xt2']);
+    });
+
+    it("Should keep what made a deployment deterministic through upgrades", async function () {
+      LocksmithRegistry.saveContractDeployment(CHAIN_ID, 'Locksmith', { address: address(1),
+        implementation: address(101), codeHash: '0x1', salt: '0x5a17', predicted: address(1) });
+      LocksmithRegistry.saveContractDeployment(CHAIN_ID, 'Locksmith', { address: address(1),
+        implementation: address(102), codeHash: '0x2' });
+
+      const entry = LocksmithRegistry.getContractEntry(CHAIN_ID, 'Locksmith');
+      expect(entry.implementation).eql(address(102));
+      expect(entry.salt).eql('0x5a17');
+      expect(entry.history.map((h) => h.implementation)).eql([address(101)]);
+
+      // a redeploy elsewhere isn't deterministic anymore
+      LocksmithRegistry.saveContractDeployment(CHAIN_ID, 'Locksmith', { address: address(2), codeHash: '0x3' });
+      expect(LocksmithRegistry.getContractEntry(CHAIN_ID, 'Locksmith').salt).eql(null);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Locking
+  ////////////////////////////////////////////////////////////
+  describe("Locking", function () {
+    it("Should take over a lock left by a process that died", async function () {
+      const dead = spawnSync(process.execPath, ['-e', '']).pid;
+      fs.writeFileSync(lockFile(), '' + dead);
+
+      LocksmithRegistry.saveContractAddress(CHAIN_ID, 'Locksmith', address(1));
+      expect(LocksmithRegistry.getContractAddress(CHAIN_ID, 'Locksmith')).eql(address(1));
+      expect(fs.existsSync(lockFile())).eql(false);
+    });
+
+    it("Should time out on a lock held by a live process", async function () {
+      fs.writeFileSync(lockFile(), '' + process.pid);
+      expect(() => LocksmithRegistry.saveContractAddress(CHAIN_ID, 'Locksmith', address(1)))
+        .to.throw('Timed out waiting for registry lock held by process ' + process.pid);
+      expect(fs.readFileSync(lockFile()).toString()).eql('' + process.pid);
+      expect(LocksmithRegistry.getContractAddress(CHAIN_ID, 'Locksmith')).eql(null);
+    });
+
+    it("Should wait on a lock whose holder hasn't written its process ID", async function () {
+      for (const contents of ['', 'not a pid']) {
+        fs.writeFileSync(lockFile(), contents);
+        expect(() => LocksmithRegistry.saveContractAddress(CHAIN_ID, 'Locksmith', address(1)))
+          .to.throw('Timed out waiting for registry lock held by a process still starting');
+        expect(fs.readFileSync(lockFile()).toString()).eql(contents);
+      }
+    });
+
+    it("Should let go of the lock when the change fails", async function () {
+      fs.writeFileSync(registryFile('assets'), '{ "broken": ');
+      expect(() => LocksmithRegistry.removeAssetEntry(CHAIN_ID, 'broken')).to.throw(SyntaxError);
+      expect(fs.existsSync(registryFile('assets') + '.lock')).eql(false);
+    });
+
+    it("Should not lose writes from processes racing for the lock", async function () {
+      this.timeout(60000);
+      LocksmithRegistry.configure({ lockTimeout: 30000 });
+
+      // every process writes its own aliases into the same registry
+      const script = (id) => "require('./tasks/registry.js');" +
+        "LocksmithRegistry.configure({ directory: " + JSON.stringify(directory) + " });" +
+        "for (var i = 0; i < 25; i++) {" +
+        "  LocksmithRegistry.saveContractAddress(" + CHAIN_ID + ", 'Racer" + id + "-' + i, '0x" + id + "');" +
+        "}";
+      const exits = await Promise.all([1, 2, 3, 4].map((id) => new Promise((resolve) =>
+        spawn(process.execPath, ['-e', script(id)], { cwd: path.resolve(__dirname, '..'), stdio: 'inherit' })
+          .on('exit', resolve))));
+
+      expect(exits).eql([0, 0, 0, 0]);
+      expect(Object.keys(JSON.parse(fs.readFileSync(registryFile()))).length).eql(100);
+      expect(fs.existsSync(lockFile())).eql(false);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Dependencies
+  ////////////////////////////////////////////////////////////
+  describe("Dependencies", function () {
+    const deployment = fileFixture(TrustTestFixtures.deployedHardhat);
+
+    it("Should read dependencies through the getters in the wiring spec", async function () {
+      expect(await LocksmithRegistry.getDependencyAccessor('Ledger', 'Notary')).eql('notary');
+      expect(await LocksmithRegistry.getDependencyAccessor('TrustEventLog', 'Notary')).eql('notary');
+      expect(await LocksmithRegistry.getDependencyAccessor('KeyAddressFactory', 'VirtualKeyAddress'))
+        .eql('virtualKeyAddress');
+      for (const wire of LocksmithRegistry.getWiringSpec()) {
+        expect(await LocksmithRegistry.getDependencyAccessor(wire.contract, wire.alias)).eql(wire.getter);
+      }
+    });
+
+    it("Should only find undeclared getters that return a single address", async function () {
+      // found in the ABI, whatever the case
+      expect(LocksmithRegistry.getWiringSpec('KeyLocker')).eql([]);
+      expect(await LocksmithRegistry.getDependencyAccessor('KeyLocker', 'Owner')).eql('owner');
+      expect(await LocksmithRegistry.getDependencyAccessor('Locksmith', 'GetKeyVault')).eql('getKeyVault');
+
+      // views of something else, or that need arguments, don't reveal dependencies
+      expect(await LocksmithRegistry.getDependencyAccessor('KeyVault', 'Name')).eql(null);
+      expect(await LocksmithRegistry.getDependencyAccessor('Locksmith', 'KeyCount')).eql(null);
+      expect(await LocksmithRegistry.getDependencyAccessor('Locksmith', 'InspectKey')).eql(null);
+      expect(await LocksmithRegistry.getDependencyAccessor('KeyVault', 'Notary')).eql(null);
+    });
+
+    it("Should report dependencies it can't ask the contract for as unknown", async function () {
+      const { ledger, notary, keyVault } = await loadFixture(deployment);
+      fs.writeFileSync(registryFile('implementations'), '{}');
+      LocksmithRegistry.saveContractAddress(CHAIN_ID, 'Ledger', ledger.address);
+      LocksmithRegistry.saveContractAddress(CHAIN_ID, 'KeyVault', keyVault.address);
+
+      expect(await LocksmithRegistry.getDeployedDependencyAddress(CHAIN_ID, 'Ledger', 'Notary')).eql(notary.address);
+      expect(await LocksmithRegistry.getDeployedDependencyAddress(CHAIN_ID, 'KeyVault', 'Notary')).eql('unknown');
+
+      // and as null when there is nothing registered to ask
+      expect(await LocksmithRegistry.getDeployedDependencyAddress(CHAIN_ID, 'TrustEventLog', 'Notary')).eql(null);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+//////////////////////////////////////////////////////////////
+/// Statement.js
+//
+//  Testing how statements turn ledger events into movements,
+//  add them up into accounts, and flatten them into CSV.
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+/// Imports
+//////////////////////////////////////////////////////////////
+const { expect } = require("chai");    // used for assertions
+const {
+  loadFixture                          // used for test setup
+} = require("@nomicfoundation/hardhat-network-helpers");
+require('./TrustTestUtils.js');        // custom helpers
+require('../tasks/indexer.js');
+require('../tasks/statement.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+//////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////
+describe("Statement", function () {
+  const deployment = fileFixture(TrustTestFixtures.deployedHardhat);
+
+  const PROVIDER = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const SCRIBE = '0xe7f1725E7734CE288F8367e1Bb143E661bb14A4A';
+  const ALLOWANCE = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+
+  const record = function(event, args) {
+    return { block: 12, timestamp: 1700000000, tx: '0xabc', contract: 'Ledger', event: event,
+      args: { provider: PROVIDER.toLowerCase(), arn: ethArn(), ...args } };
+  };
+
+  ////////////////////////////////////////////////////////////
+  // Movements
+  ////////////////////////////////////////////////////////////
+  describe("Movements", function () {
+    it("Should move the key for deposits and withdrawals", async function () {
+      const [deposit] = LocksmithStatement.getMovements(record('depositOccurred', { keyId: '1', amount: eth(2).toString() }));
+      expect(deposit).eql({ block: 12, timestamp: 1700000000, tx: '0xabc', provider: PROVIDER, arn: ethArn(),
+        keyId: '1', type: 'deposit', amount: eth(2) });
+
+      const [withdrawal] = LocksmithStatement.getMovements(record('withdrawalOccurred', { keyId: '1', amount: '5' }));
+      expect(withdrawal.type).eql('withdrawal');
+      expect(withdrawal.amount).eql(ethers.BigNumber.from(-5));
+    });
+
+    it("Should move the source and every receiving key for transfers", async function () {
+      const transfer = record('ledgerTransferOccurred', { scribe: SCRIBE, rootKeyId: '0',
+        keys: ['1', '2', '3'], amounts: ['10', '20', '30'] });
+      const movements = LocksmithStatement.getMovements(transfer, ALLOWANCE);
+      expect(movements.map((m) => [m.keyId, m.type, m.amount.toString()])).eql([
+        ['0', 'distribution', '-60'],
+        ['1', 'distribution', '10'],
+        ['2', 'distribution', '20'],
+        ['3', 'distribution', '30']
+      ]);
+      expect(movements.reduce((sum, m) => sum.add(m.amount), ethers.BigNumber.from(0))).eql(ethers.BigNumber.from(0));
+    });
+
+    it("Should call transfers by the allowance contract redemptions", async function () {
+      const transfer = record('ledgerTransferOccurred', { scribe: ALLOWANCE.toLowerCase(), rootKeyId: '0',
+        keys: ['4'], amounts: ['7'] });
+      expect(LocksmithStatement.getMovements(transfer, ALLOWANCE).map((m) => m.type)).eql(['allowance', 'allowance']);
+      expect(LocksmithStatement.getMovements(transfer, null).map((m) => m.type)).eql(['distribution', 'distribution']);
+    });
+
+    it("Should not move anything for other events", async function () {
+      expect(LocksmithStatement.getMovements(record('trustCreated', {}))).eql([]);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // Accounts
+  ////////////////////////////////////////////////////////////
+  describe("Accounts", function () {
+    const account = { provider: PROVIDER, arn: ethArn(), asset: 'ETH', decimals: 18 };
+    const movements = [
+      { type: 'deposit',      block: 3, timestamp: 30, tx: '0x3', amount: eth(5) },
+      { type: 'distribution', block: 4, timestamp: 40, tx: '0x4', amount: eth(-1.5) },
+      { type: 'withdrawal',   block: 5, timestamp: 50, tx: '0x5', amount: eth(-0.5) }
+    ];
+
+    it("Should keep a running balance from the opening one", async function () {
+      expect(LocksmithStatement.getAccount(account, eth(1), eth(4), movements)).eql({
+        ...account,
+        opening:    '1.0',
+        closing:    '4.0',
+        reconciled: true,
+        entries: [
+          { type: 'deposit',      block: 3, timestamp: 30, tx: '0x3', amount: '5.0',  balance: '6.0' },
+          { type: 'distribution', block: 4, timestamp: 40, tx: '0x4', amount: '-1.5', balance: '4.5' },
+          { type: 'withdrawal',   block: 5, timestamp: 50, tx: '0x5', amount: '-0.5', balance: '4.0' }
+        ]
+      });
+    });
+
+    it("Should flag accounts that don't come to the closing balance", async function () {
+      const unreconciled = LocksmithStatement.getAccount(account, undefined, eth(4), movements);
+      expect(unreconciled.opening).eql('0.0');
+      expect(unreconciled.reconciled).eql(false);
+      expect(unreconciled.entries[2].balance).eql('3.0');
+    });
+
+    it("Should format amounts in the asset's decimals", async function () {
+      const usdc = LocksmithStatement.getAccount({ ...account, asset: 'USDC', decimals: 6 }, 0, 2500000,
+        [{ type: 'deposit', block: 1, timestamp: 1, tx: '0x1', amount: ethers.BigNumber.from(2500000) }]);
+      expect(usdc.entries[0].amount).eql('2.5');
+      expect(usdc.closing).eql('2.5');
+      expect(usdc.reconciled).eql(true);
+    });
+
+    it("Should add up indexed movements to the ledger's balances", async function () {
+      const { locksmith, notary, ledger, vault, tokenVault, events, alarmClock, trustee, owner } =
+        await loadFixture(deployment);
+      const fileName = path.join(os.tmpdir(), 'locksmith-statement-test-' + process.pid + '.json');
+      const index = LocksmithIndexer.open((await ethers.provider.getNetwork()).chainId, 0, true, {
+        fileName: fileName,
+        contracts: { Locksmith: locksmith.address, Ledger: ledger.address, Notary: notary.address,
+          TrustEventLog: events.address, AlarmClock: alarmClock.address, Trustee: trustee.address }
+      });
+      await index.sync(ethers.provider);
+      fs.rmSync(fileName, { force: true });
+
+      const movements = index.query({ trustId: 0, contract: 'Ledger' })
+        .flatMap((record) => LocksmithStatement.getMovements(record));
+      expect(movements.length).to.be.above(0);
+
+      var checked = 0;
+      for (const keyId of await locksmith.getKeys(0)) {
+        for (const provider of [vault.address, tokenVault.address, owner.address]) {
+          const arns = await ledger.getContextArnRegistry(KEY(), keyId, provider);
+          const balances = arns.length === 0 ? [] : await ledger.getContextArnBalances(KEY(), keyId, provider, arns);
+          for (const [i, arn] of arns.entries()) {
+            const moved = movements.filter((m) => m.keyId === keyId.toString() && m.provider === provider && m.arn === arn);
+            const account = LocksmithStatement.getAccount({ provider: provider, arn: arn, asset: '', decimals: 18 },
+              0, balances[i], moved);
+            expect(account.reconciled).eql(true);
+            checked++;
+          }
+        }
+      }
+      expect(checked).to.be.above(0);
+    });
+  });
+
+  ////////////////////////////////////////////////////////////
+  // CSV
+  ////////////////////////////////////////////////////////////
+  describe("CSV", function () {
+    const statement = {
+      chainId: 31337,
+      trust:   'Conner Trust',
+      trustId: 0,
+      from:    { block: 1, timestamp: 1700000000 },
+      to:      { block: 9, timestamp: 1700000900 },
+      keys: [{
+        keyId: 0,
+        key:   'Master Key',
+        accounts: [{
+          provider: PROVIDER, arn: ethArn(), asset: 'ETH', decimals: 18,
+          opening: '1.0', closing: '3.0', reconciled: true,
+          entries: [{ type: 'deposit', block: 4, timestamp: 1700000400, tx: '0x4', amount: '2.0', balance: '3.0' }]
+        }]
+      }, {
+        keyId: 1,
+        key:   'Beneficiary, "One"',
+        accounts: [{
+          provider: PROVIDER, arn: ethArn(), asset: 'ETH', decimals: 18,
+          opening: '0.0', closing: '1.0', reconciled: false, entries: []
+        }]
+      }]
+    };
+
+    it("Should write an opening, movement, and closing row per account", async function () {
+      const rows = LocksmithStatement.toCsv(statement).split('\n');
+      expect(rows[0]).eql('keyId,key,provider,asset,arn,type,block,timestamp,tx,amount,balance');
+      expect(rows.slice(1, 4)).eql([
+        ['0', 'Master Key', PROVIDER, 'ETH', ethArn(), 'opening', '1', '2023-11-14T22:13:20.000Z', '', '', '1.0'].join(','),
+        ['0', 'Master Key', PROVIDER, 'ETH', ethArn(), 'deposit', '4', '2023-11-14T22:20:00.000Z', '0x4', '2.0', '3.0'].join(','),
+        ['0', 'Master Key', PROVIDER, 'ETH', ethArn(), 'closing', '9', '2023-11-14T22:28:20.000Z', '', '', '3.0'].join(',')
+      ]);
+      expect(rows.length).eql(7);
+      expect(rows[6]).eql('');
+    });
+
+    it("Should quote fields and mark unreconciled accounts", async function () {
+      const rows = LocksmithStatement.toCsv(statement).split('\n');
+      expect(rows[4].startsWith('1,"Beneficiary, ""One""",')).eql(true);
+      expect(rows[5].split(',').slice(-6)).eql(['closing (unreconciled)', '9', '2023-11-14T22:28:20.000Z', '', '', '1.0']);
+    });
+  });
+});
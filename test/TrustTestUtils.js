@@ -95,6 +95,26 @@ assertKey = async function(locksmith, account, keyId, isValid, name, trustId, is
   }
 }
 
+//////////////////////////////////////////////////////
+// fileFixture
+//
+// loadFixture keeps one snapshot per fixture for the whole
+// run, and reverting to a snapshot drops every one taken
+// after it. A fixture shared by files that don't run back
+// to back would throw away the snapshots the files between
+// them took, and those files' fixtures fail to load later.
+// Files sharing a fixture load their own copy instead.
+//
+//   const deployment = fileFixture(TrustTestFixtures.deployedHardhat);
+//   const { locksmith } = await loadFixture(deployment);
+//////////////////////////////////////////////////////
+fileFixture = function(fixture) {
+  const copy = async function() {
+    return await fixture();
+  };
+  return copy;
+}
+
 TrustTestFixtures = (function() {
   return {
     ////////////////////////////////////////////////////////////
@@ -648,7 +668,7 @@ TrustTestFixtures = (function() {
         notary, ledger, vault, tokenVault, coin,
         events, trustee, keyOracle, alarmClock, creator,
         owner, root, second, third} = 
-        await TrustTestFixtures.addedAllowance();
+        await TrustTestFixtures.addedCreator();
 
       // give out some keys
       await locksmith.connect(root).createKey(0, stb('Testing Four'), root.address, false);
@@ -715,8 +735,8 @@ TrustTestFixtures = (function() {
       await keyOracle.connect(root).createKeyOracle(0, 2, stb("Camden gets married."));
       
       // set up a few trustees
-      await trustee.connect(root).setPolicy(0, 1, [1,2,3], []);
-      await trustee.connect(root).setPolicy(0, 2, [1,3], [
+      await trustee.connect(root).setPolicy(0, 1, 0, [1,2,3], []);
+      await trustee.connect(root).setPolicy(0, 2, 0, [1,3], [
         (await keyOracle.connect(root).getOracleKeyEvents(0))[0],
         (await keyOracle.connect(root).getOracleKeyEvents(1))[0],
         (await keyOracle.connect(root).getOracleKeyEvents(2))[0],
@@ -731,7 +751,7 @@ TrustTestFixtures = (function() {
       return {keyVault, locksmith,
         notary, ledger, vault, tokenVault, 
         coin, matic, avax, grt, dai, usdc,
-        events, trustee, keyOracle, alarmClock,
+        events, trustee, keyOracle, alarmClock, creator,
         owner, root, second, third};
     }
   };